@@ -0,0 +1,117 @@
+/**
+ * Relay WebSocket per la lezione in rete locale (nessun servizio esterno, funziona offline).
+ * Avvio: npm run relay   (variabili opzionali: PORT, HOST)
+ *
+ * Protocollo (JSON):
+ *   client → relay  { type: "JOIN", room, role: "teacher" | "student", key? }
+ *   relay  → client { type: "JOINED", room, peers }  e subito dopo, a uno studente, l'ultimo SET_STATE della stanza
+ *   relay  → client { type: "DENIED", room }        JOIN come docente senza il codice docente giusto: il client resta fuori
+ *   client → relay  { type: "SET_STATE", payload }   solo dal docente: salvato come stato corrente e inoltrato agli altri
+ *   qualsiasi altro messaggio viene inoltrato agli altri client della stessa stanza;
+ *   con `to: "teacher"` solo ai docenti (es. le consegne, che gli altri studenti non devono vedere).
+ * Il relay aggiunge a ogni messaggio inoltrato `from`, il ruolo con cui il mittente è entrato.
+ *
+ * Fiducia: è docente chi conosce il codice docente (`key`). Lo fissa il primo docente che entra nella stanza e vale
+ * finché il relay resta acceso; il link per gli studenti non lo contiene. Il traffico non è cifrato né autenticato
+ * altrimenti: il relay è pensato per la rete del laboratorio, non per Internet.
+ * Una stanza è eliminata quando esce l'ultimo client: il docente, rientrando, ripubblica il proprio stato
+ * (e non riceve quello salvato, che può essere più vecchio del suo).
+ */
+import { WebSocketServer } from "ws";
+import os from "node:os";
+import { pathToFileURL } from "node:url";
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || "0.0.0.0";
+const HEARTBEAT_MS = 30000;
+
+/** Avvia un relay su `port` (0 = porta libera, per i test) e restituisce il WebSocketServer. */
+export function startRelay({ port = PORT, host = HOST } = {}) {
+  const wss = new WebSocketServer({ port, host });
+
+  // stanza -> { clients: Set<WebSocket>, state: ultimo SET_STATE (stringa JSON) | null }
+  const rooms = new Map();
+  // stanza -> codice docente; resta anche a stanza vuota, così nessuno la reclama mentre il docente è disconnesso
+  const teacherKeys = new Map();
+
+  function roomOf(code) {
+    let room = rooms.get(code);
+    if (!room) { room = { clients: new Set(), state: null }; rooms.set(code, room); }
+    return room;
+  }
+
+  function leave(ws) {
+    const room = ws.room && rooms.get(ws.room);
+    if (!room) return;
+    room.clients.delete(ws);
+    if (!room.clients.size) rooms.delete(ws.room);
+  }
+
+  function broadcast(room, data, except, role) {
+    for (const peer of room.clients) {
+      if (peer === except || peer.readyState !== peer.OPEN || (role && peer.role !== role)) continue;
+      peer.send(data);
+    }
+  }
+
+  wss.on("connection", (ws) => {
+    ws.isAlive = true;
+    ws.room = null;
+    ws.on("pong", () => { ws.isAlive = true; });
+
+    ws.on("message", (raw) => {
+      let msg;
+      try { msg = JSON.parse(raw.toString()); } catch { return; }
+      if (!msg || typeof msg.type !== "string") return;
+
+      if (msg.type === "JOIN") {
+        const code = String(msg.room || "").trim().toUpperCase();
+        if (!code) return;
+        const role = msg.role === "teacher" ? "teacher" : "student";
+        if (role === "teacher") {
+          const key = typeof msg.key === "string" ? msg.key : "", known = teacherKeys.get(code);
+          if (!key || (known && known !== key)) { ws.send(JSON.stringify({ type: "DENIED", room: code })); return; }
+          teacherKeys.set(code, key);
+        }
+        leave(ws);
+        ws.room = code; ws.role = role;
+        const room = roomOf(code);
+        room.clients.add(ws);
+        ws.send(JSON.stringify({ type: "JOINED", room: code, peers: room.clients.size }));
+        // lo studente che entra riceve subito lo stato corrente della lezione; il docente no: il suo è il più recente
+        // (rientrando dopo una disconnessione lo ripubblica, e uno stato salvato prima lo riporterebbe indietro)
+        if (room.state && ws.role !== "teacher") ws.send(room.state);
+        return;
+      }
+
+      if (!ws.room) return;
+      // lo stato della lezione lo pubblica solo il docente: uno studente non può sbloccare la verifica
+      if (msg.type === "SET_STATE" && ws.role !== "teacher") return;
+      const room = roomOf(ws.room);
+      const data = JSON.stringify({ ...msg, from: ws.role });
+      if (msg.type === "SET_STATE") room.state = data;
+      broadcast(room, data, ws, msg.to === "teacher" ? "teacher" : null);
+    });
+
+    ws.on("close", () => leave(ws));
+  });
+
+  // client spariti senza chiudere (Wi-Fi caduto, portatile in sospensione)
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) { ws.terminate(); continue; }
+      ws.isAlive = false; ws.ping();
+    }
+  }, HEARTBEAT_MS);
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startRelay().on("listening", () => {
+    const addrs = Object.values(os.networkInterfaces()).flat().filter((a) => a && a.family === "IPv4" && !a.internal).map((a) => a.address);
+    console.log(`[OscSim relay] in ascolto su ws://${HOST}:${PORT}`);
+    for (const a of addrs) console.log(`[OscSim relay] in rete locale: ws://${a}:${PORT}`);
+  });
+}
@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { WebSocket } from "ws";
+import { reduceSync } from "../src/engine/sync";
+import { startRelay } from "./relay.js";
+
+let relay, url;
+const clients = [];
+
+beforeEach(async () => {
+  relay = startRelay({ port: 0, host: "127.0.0.1" });
+  await new Promise((resolve) => relay.on("listening", resolve));
+  url = `ws://127.0.0.1:${relay.address().port}`;
+});
+
+afterEach(async () => {
+  for (const c of clients.splice(0)) c.ws.close();
+  await new Promise((resolve) => relay.close(resolve));
+});
+
+/** Client come quello della pagina: applica reduceSync ai messaggi e rimanda la risposta. Il docente entra con il codice K1. */
+function join(role, state, extra = role === "teacher" ? { key: "K1" } : {}) {
+  const c = { ws: new WebSocket(url), state, inbox: [] };
+  clients.push(c);
+  c.ws.on("message", (raw) => {
+    const msg = JSON.parse(raw.toString());
+    c.inbox.push(msg);
+    const { state: next, reply } = reduceSync(c.state, msg, role);
+    c.state = next;
+    if (reply) c.ws.send(JSON.stringify(reply));
+  });
+  c.ws.on("open", () => c.ws.send(JSON.stringify({ type: "JOIN", room: "aula1", role, ...extra })));
+  c.publish = (next) => { c.state = next; c.ws.send(JSON.stringify({ type: "SET_STATE", payload: next, from: role })); };
+  return c;
+}
+
+async function until(check) {
+  for (let i = 0; i < 200; i++) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  throw new Error("timeout");
+}
+const joined = (c) => until(() => c.inbox.some((m) => m.type === "JOINED"));
+
+describe("relay", () => {
+  it("lo studente che entra riceve lo stato del docente", async () => {
+    const teacher = join("teacher", "S1");
+    await joined(teacher);
+    const student = join("student", "vuoto");
+    await until(() => student.state === "S1");
+    expect(student.inbox.at(-1)).toMatchObject({ type: "SET_STATE", from: "teacher" });
+  });
+
+  it("il docente che rientra non riprende lo stato salvato: ripubblica il suo", async () => {
+    const teacher = join("teacher", "S1");
+    await joined(teacher);
+    const student = join("student", "vuoto");
+    await until(() => student.state === "S1");
+    // il Wi-Fi del docente cade; intanto il docente cambia lo stato
+    teacher.ws.close();
+    await until(() => teacher.ws.readyState === WebSocket.CLOSED);
+    const back = join("teacher", "S2");
+    await until(() => student.state === "S2");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(back.state).toBe("S2");
+    expect(back.inbox.filter((m) => m.type === "SET_STATE")).toEqual([]);
+  });
+
+  it("uno studente non pubblica lo stato", async () => {
+    const teacher = join("teacher", "S1");
+    await joined(teacher);
+    const student = join("student", "vuoto");
+    await until(() => student.state === "S1");
+    student.publish({ locked: false });
+    student.ws.send(JSON.stringify({ type: "PING" }));
+    await until(() => teacher.inbox.some((m) => m.type === "PING"));
+    expect(teacher.state).toBe("S1");
+    const late = join("student", "vuoto");
+    await until(() => late.state === "S1");
+  });
+
+  it("le consegne vanno solo al docente", async () => {
+    const teacher = join("teacher", "S1");
+    const other = join("student", "vuoto");
+    await joined(teacher); await joined(other);
+    const student = join("student", "vuoto");
+    await joined(student);
+    student.ws.send(JSON.stringify({ type: "SUBMIT", to: "teacher", payload: { id: "x" } }));
+    student.ws.send(JSON.stringify({ type: "PING" }));
+    await until(() => teacher.inbox.some((m) => m.type === "SUBMIT") && other.inbox.some((m) => m.type === "PING"));
+    expect(teacher.inbox.find((m) => m.type === "SUBMIT").from).toBe("student");
+    expect(other.inbox.some((m) => m.type === "SUBMIT")).toBe(false);
+  });
+
+  it("senza il codice docente giusto non si entra come docente", async () => {
+    const teacher = join("teacher", "S1");
+    await joined(teacher);
+    const student = join("student", "vuoto");
+    await until(() => student.state === "S1");
+    const intruders = [join("teacher", { locked: false }, { key: "ALTRO" }), join("teacher", { locked: false }, {})];
+    await until(() => intruders.every((c) => c.inbox.some((m) => m.type === "DENIED")));
+    for (const c of intruders) {
+      expect(c.inbox.map((m) => m.type)).toEqual(["DENIED"]);
+      c.publish({ locked: false });
+    }
+    teacher.ws.send(JSON.stringify({ type: "PING" }));
+    await until(() => student.inbox.some((m) => m.type === "PING"));
+    expect(student.state).toBe("S1");
+  });
+
+  it("il codice docente resta anche quando la stanza si svuota", async () => {
+    const teacher = join("teacher", "S1");
+    await joined(teacher);
+    teacher.ws.close();
+    await until(() => teacher.ws.readyState === WebSocket.CLOSED);
+    const intruder = join("teacher", "X", { key: "ALTRO" });
+    await until(() => intruder.inbox.some((m) => m.type === "DENIED"));
+    const back = join("teacher", "S2");
+    await joined(back);
+  });
+});
@@ -0,0 +1,137 @@
+/** Circuito fra generatore e oscilloscopio (RC, RL, RLC, raddrizzatori) simulato a regime. */
+
+import { repetitionPeriod, waveformSample } from "./waveform";
+
+// ====================
+// CIRCUITO DI INGRESSO
+// ====================
+// Stadio opzionale fra generatore e oscilloscopio. Il circuito è simulato nel tempo lungo un periodo di
+// ripetizione del generatore, già a regime (stato finale = stato iniziale): l'uscita diventa una tabella
+// periodica letta come la forma arbitraria. Il rumore del generatore si somma all'uscita; con la banda passante
+// dell'oscilloscopio anche il rumore passa dal suo filtro (lowPass, campione per campione nell'acquisizione).
+// I nomi dei circuiti sono nei cataloghi (circuit.<tipo>).
+export const CIRCUITS = ["none", "rc-lp", "rc-hp", "rl-lp", "rl-hp", "rlc", "half", "full"];
+// R in Ω, C in F, L in H; `out` = componente su cui si misura nell'RLC; vd = caduta di un diodo (V).
+// Nei raddrizzatori R è il carico e C il condensatore di livellamento (0 = nessuno).
+export const defaultCircuit = { type: "none", R: 1000, C: 1e-6, L: 0.1, out: "c" as "r" | "l" | "c", vd: 0.7 };
+const CIRCUIT_STEPS = 4096;
+const circuitCache = new Map<string, any>();
+
+// `bandwidth` (Hz) non fa parte del canale: lo aggiunge l'acquisizione quando è attivo il modello dell'oscilloscopio
+export const circuitActive = (ch: any) => ((!!ch.circuit && ch.circuit.type !== "none") || ch.bandwidth > 0) && ch.waveform !== "noise" && ch.frequency > 0;
+
+/**
+ * Passa-basso del primo ordine a `fc` (Hz) in place sui primi n campioni di `y` (passo dt), partendo dallo stato y0:
+ * è il filtro della banda passante applicato al rumore, che non sta nella tabella a regime del circuito.
+ */
+export function lowPass(y: Float64Array, n: number, fc: number, dt: number, y0: number) {
+  const a = 1 - Math.exp(-2 * Math.PI * fc * dt);
+  let s = y0;
+  for (let i = 0; i < n; i++) y[i] = s += a * (y[i] - s);
+  return y;
+}
+
+/** Un passo di simulazione da u0 a u1 in dt: aggiorna lo stato `x` e restituisce l'uscita a fine passo. */
+export function stepCircuit(c: any, x: Float64Array, u0: number, u1: number, dt: number) {
+  switch (c.type) {
+    case "rc-lp": case "rc-hp": case "rl-lp": case "rl-hp": {
+      // primo ordine, soluzione esatta per ingresso lineare nel passo: x' = (u − x)/τ
+      const tau = c.type.startsWith("rc") ? c.R * c.C : c.L / c.R, a = Math.exp(-dt / tau), sl = (u1 - u0) / dt;
+      x[0] = u0 + sl * dt - sl * tau + (x[0] - u0 + sl * tau) * a;
+      return c.type.endsWith("lp") ? x[0] : u1 - x[0];
+    }
+    case "rlc": {
+      // stato [i, vC]: L di/dt = u − R i − vC, C dvC/dt = i. Soluzione esatta per ingresso lineare nel passo
+      // (stabile anche per i circuiti rigidi): x = xp + e^(A·dt)·(x − xp), con xp = [C·sl, u − R·C·sl] la soluzione particolare
+      const sl = (u1 - u0) / dt, ip = c.C * sl, d0 = x[0] - ip, d1 = x[1] - (u0 - c.R * c.C * sl);
+      // e^(A·dt) = e^(μ·dt)·(cI + s(A − μI)), μ = −R/2L; con autovalori reali si combinano i due esponenziali
+      // (niente overflow; l'autovalore lento come 1/(LC·(μ − b)) per non perdere cifre)
+      const mu = -c.R / (2 * c.L), disc = mu * mu - 1 / (c.L * c.C);
+      let cc: number, ss: number;
+      if (disc < 0) { const w = Math.sqrt(-disc), e = Math.exp(mu * dt); cc = e * Math.cos(w * dt); ss = (e * Math.sin(w * dt)) / w; }
+      else if (disc > 0) { const b = Math.sqrt(disc), e1 = Math.exp((1 / (c.L * c.C) / (mu - b)) * dt), e2 = Math.exp((mu - b) * dt); cc = (e1 + e2) / 2; ss = (e1 - e2) / (2 * b); }
+      else { const e = Math.exp(mu * dt); cc = e; ss = e * dt; }
+      x[0] = ip + cc * d0 + ss * (mu * d0 - d1 / c.L);
+      x[1] = u1 - c.R * c.C * sl + cc * d1 + ss * (d0 / c.C - mu * d1);
+      return c.out === "r" ? c.R * x[0] : c.out === "l" ? u1 - c.R * x[0] - x[1] : x[1];
+    }
+    default: {
+      // diodi ideali con caduta vd: il condensatore si carica al picco e si scarica sul carico
+      const rect = c.type === "half" ? u1 - c.vd : Math.abs(u1) - 2 * c.vd;
+      x[0] = Math.max(rect, c.C > 0 ? x[0] * Math.exp(-dt / (c.R * c.C)) : 0, 0);
+      return x[0];
+    }
+  }
+}
+
+/** Uscita a regime di un circuito per l'ingresso periodico `u` (M + 1 punti, u[M] = u[0]) con passo dt. */
+export function steadyState(c: any, u: Float64Array, dt: number) {
+  const M = u.length - 1;
+  const nState = c.type === "rlc" ? 2 : 1;
+  const run = (x0: ArrayLike<number>) => {
+    const x = Float64Array.from(x0), out = new Float64Array(M);
+    for (let k = 0; k < M; k++) out[(k + 1) % M] = stepCircuit(c, x, u[k], u[k + 1], dt);
+    return { x, out };
+  };
+  let sim: { x: Float64Array; out: Float64Array };
+  if (c.type === "half" || c.type === "full") {
+    // non lineare: si ripete il periodo finché lo stato non si assesta
+    sim = run([0]);
+    for (let i = 0; i < 200; i++) {
+      const next = run(sim.x), done = Math.abs(next.x[0] - sim.x[0]) < 1e-9 * (1 + Math.abs(sim.x[0]));
+      sim = next; if (done) break;
+    }
+  } else {
+    // lineare: Φ(x0) = A·x0 + b, regime = soluzione di (I − A)·x = b
+    const b = run(new Float64Array(nState)).x;
+    const A = [0, 1].slice(0, nState).map((j) => { const e = new Float64Array(nState); e[j] = 1; const r = run(e).x; return Array.from(r, (v, i) => v - b[i]); });
+    let x0: number[];
+    if (nState === 1) x0 = [b[0] / (1 - A[0][0])];
+    else {
+      const m00 = 1 - A[0][0], m01 = -A[1][0], m10 = -A[0][1], m11 = 1 - A[1][1], det = m00 * m11 - m01 * m10;
+      x0 = [(b[0] * m11 - m01 * b[1]) / det, (m00 * b[1] - m10 * b[0]) / det];
+    }
+    sim = run(x0);
+  }
+  return sim.out;
+}
+
+/**
+ * Uscita a regime del circuito del canale su un periodo di ripetizione del generatore (memorizzata).
+ * Restituisce { tab, T, period, vmax, vmin, mean, phaseShift }: `period` tiene conto dei raddrizzatori
+ * (a doppia semionda il periodo si dimezza), `phaseShift` è lo sfasamento (rad) della fondamentale.
+ */
+export function circuitTable(ch: any) {
+  const c = { ...defaultCircuit, ...(ch.circuit || {}) };
+  const key = JSON.stringify([ch.waveform, ch.amplitude, ch.frequency, ch.phase, ch.dc, ch.arb, c, ch.bandwidth || 0]);
+  const hit = circuitCache.get(key);
+  if (hit) return hit;
+
+  const T = repetitionPeriod(ch)!, M = CIRCUIT_STEPS, dt = T / M;
+  const p = { ...ch, noise: 0, difficulty: "base" };
+  const u = new Float64Array(M + 1);
+  for (let k = 0; k <= M; k++) u[k] = waveformSample(ch.waveform, (k % M) * dt, p);
+  // stadi in cascata: circuito del canale, poi la banda passante dell'oscilloscopio (primo ordine a `bandwidth`)
+  let tab: Float64Array = u.subarray(0, M);
+  for (const stage of [c.type !== "none" ? c : null, ch.bandwidth > 0 ? { ...defaultCircuit, type: "rc-lp", R: 1, C: 1 / (2 * Math.PI * ch.bandwidth) } : null]) {
+    if (!stage) continue;
+    const inp = new Float64Array(M + 1); inp.set(tab); inp[M] = tab[0];
+    tab = steadyState(stage, inp, dt);
+  }
+  let vmax = -Infinity, vmin = Infinity, mean = 0;
+  for (const v of tab) { if (v > vmax) vmax = v; if (v < vmin) vmin = v; mean += v / M; }
+  // sottoperiodo dell'uscita (es. doppia semionda di una sinusoide: T/2)
+  const tol = 1e-6 * (vmax - vmin + 1e-12);
+  const div = [8, 4, 2].find((d) => tab.every((v, i) => Math.abs(v - tab[(i + M / d) % M]) <= tol)) || 1;
+  // sfasamento della fondamentale: DFT sul bin delle f·T oscillazioni contenute nel periodo
+  const kf = Math.max(1, Math.round(ch.frequency * T));
+  const arg = (y: ArrayLike<number>) => {
+    let re = 0, im = 0;
+    for (let k = 0; k < M; k++) { const w = (2 * Math.PI * kf * k) / M; re += y[k] * Math.cos(w); im -= y[k] * Math.sin(w); }
+    return Math.atan2(im, re);
+  };
+  const entry = { tab, T, period: T / div, vmax, vmin, mean, phaseShift: arg(tab) - arg(u) };
+  if (circuitCache.size >= 32) circuitCache.delete(circuitCache.keys().next().value!);
+  circuitCache.set(key, entry);
+  return entry;
+}
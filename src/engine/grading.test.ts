@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest";
+import { defaultRubric, gradeField, gradeMeasures, rubricOf, studentKey, toleranceBand } from "./grading";
+
+const sine = { id: 1, amplitude: 2, dc: 1, frequency: 100, phase: 0, waveform: "sine", enabled: true };
+const shared = { timeBase: 0.001, channels: [sine, { ...sine, id: 2, enabled: false }], rubric: null };
+const student = { name: "Anna", surname: "Rossi", class: "4A", date: "2025-03-01" };
+const exact = { 1: { vmax: "3", vmin: "-1", vpp: "4", period: "0.01", freq: "100" } };
+
+describe("gradeMeasures", () => {
+  it("tutte le misure esatte: voto massimo", () => {
+    const g = gradeMeasures(shared, { ...student, measures: exact });
+    expect(g.ok).toBe(true);
+    expect(g.punteggio).toBe(10);
+    expect(g.maxScore).toBe(10);
+    expect(g.erroriCount).toBe(0);
+    expect(Object.keys(g.perChannel)).toEqual(["1"]); // i canali spenti non si valutano
+  });
+
+  it("voto = minScore + (maxScore − minScore) · punti/pesi", () => {
+    const g = gradeMeasures(shared, { ...student, measures: { 1: { ...exact[1], vmax: "3.5", freq: "" } } });
+    expect(g.erroriCount).toBe(2);
+    expect(g.perChannel[1].fields.vmax.status).toBe("wrong");
+    expect(g.perChannel[1].fields.freq.status).toBe("missing");
+    expect(g.punteggio).toBe(8); // 5 + 5 · 3/5
+  });
+
+  it("dati personali mancanti: penalità", () => {
+    const g = gradeMeasures(shared, { ...student, date: "", measures: exact });
+    expect(g.datiMancanti).toBe(1);
+    expect(g.punteggio).toBe(10 - defaultRubric.missingPenalty);
+  });
+
+  it("rubrica predefinita: voti lineari, non più 10 − min(5, ⌈errori/2⌉)", () => {
+    const wrong = { vmax: "9", vmin: "9", vpp: "9", period: "9", freq: "9" };
+    expect(gradeMeasures(shared, { ...student, measures: { 1: wrong } }).punteggio).toBe(5); // prima 7
+    expect(gradeMeasures(shared, { ...student, measures: { 1: { ...exact[1], vmax: "9", freq: "9" } } }).punteggio).toBe(8); // prima 9
+    expect(gradeMeasures(shared, { measures: {} }).punteggio).toBe(4); // foglio vuoto e anonimo, prima 6
+  });
+
+  it("pesi e scala dei voti della rubrica", () => {
+    const rubric = { maxScore: 30, minScore: 18, fields: { vmax: { weight: 3 } } };
+    const g = gradeMeasures({ ...shared, rubric }, { ...student, measures: { 1: { ...exact[1], vmax: "0" } } });
+    expect(g.punteggio).toBe(24.9); // 18 + 12 · 4/7
+  });
+
+  it("credito parziale entro `band` volte la tolleranza", () => {
+    const rubric = { partial: { enabled: true, band: 2, credit: 0.5 } };
+    const g = gradeMeasures({ ...shared, rubric }, { ...student, measures: { 1: { ...exact[1], vmax: "3.25" } } });
+    expect(g.perChannel[1].fields.vmax.status).toBe("partial");
+    expect(g.punteggio).toBe(9.5); // 5 + 5 · 4.5/5
+  });
+
+  it("numeri con la virgola decimale", () => {
+    const comma = { 1: { vmax: "3,0", vmin: "-1", vpp: "4", period: "0,01", freq: "100" } };
+    expect(gradeMeasures(shared, { ...student, measures: comma }).punteggio).toBe(10);
+    expect(gradeMeasures(shared, { ...student, lang: "en", measures: comma }).punteggio).toBe(10);
+    const g = gradeMeasures(shared, { ...student, lang: "en", measures: { 1: { ...exact[1], freq: "1,000" } } });
+    expect(g.perChannel[1].fields.freq.user).toBe(1000); // in inglese la virgola separa le migliaia
+  });
+
+  it("grandezze facoltative vuote non contano", () => {
+    const rubric = { fields: { freq: { required: false } } };
+    const g = gradeMeasures({ ...shared, rubric }, { ...student, measures: { 1: { ...exact[1], freq: "" } } });
+    expect(g.perChannel[1].fields.freq).toBeUndefined();
+    expect(g.punteggio).toBe(10);
+  });
+
+  it("esercizio XY: sfasamento fra i canali", () => {
+    const xy = { ...shared, channels: [sine, { ...sine, id: 2, phase: Math.PI / 3 }], xyExercise: { enabled: true, x: 1, y: 2 } };
+    const g = gradeMeasures(xy, { ...student, measures: { ...exact, 2: exact[1], xy: { phase: "58" } } });
+    expect(g.perChannel.xy.fields.phase.status).toBe("ok");
+    expect(g.perChannel.xy.fields.phase.expected).toBeCloseTo(60, 9);
+  });
+});
+
+describe("tolleranze", () => {
+  const rule = (mode: string, tol: number) => ({ mode, tol, weight: 1, required: true });
+
+  it("relativa, assoluta e in divisioni", () => {
+    expect(toleranceBand(rule("rel", 5), "v", -4, 0.001, 1)).toBeCloseTo(0.2, 12);
+    expect(toleranceBand(rule("abs", 0.3), "v", 4, 0.001, 1)).toBe(0.3);
+    expect(toleranceBand(rule("div", 0.5), "v", 4, 0.001, 2)).toBe(1);
+    expect(toleranceBand(rule("div", 0.5), "t", 0.01, 0.002, 1)).toBe(0.001);
+    expect(toleranceBand(rule("div", 0.5), "f", 100, 0.002, 1)).toBeCloseTo(10, 9); // Δf ≈ f² · ΔT
+  });
+
+  it("relativa con valore atteso nullo: almeno un decimo di divisione", () => {
+    expect(toleranceBand(rule("rel", 5), "v", 0, 0.001, 2)).toBeCloseTo(0.2, 12);
+    expect(toleranceBand(rule("rel", 5), "v", -40, 0.001, 2)).toBeCloseTo(2, 12); // sopra il minimo vale la percentuale
+    const rectified = { ...sine, dc: 0, waveform: "rectified" }; // Vmin = 0
+    const g = gradeMeasures({ ...shared, channels: [rectified] }, { ...student, measures: { 1: { vmin: "0.01" } } });
+    expect(g.perChannel[1].fields.vmin.status).toBe("ok");
+  });
+
+  it("la tolleranza in divisioni usa la scala dello studente", () => {
+    const rubric = { fields: { vmax: { mode: "div", tol: 0.2 } } };
+    const data = { ...student, measures: { 1: { ...exact[1], vmax: "3.3" } } };
+    expect(gradeMeasures({ ...shared, rubric }, { ...data, scale: { sPerDiv: 0.001, vPerDiv: { 1: 1 } } }).perChannel[1].fields.vmax.status).toBe("wrong");
+    expect(gradeMeasures({ ...shared, rubric }, { ...data, scale: { sPerDiv: 0.001, vPerDiv: { 1: 2 } } }).perChannel[1].fields.vmax.status).toBe("ok");
+  });
+
+  it("grandezza non definita: non valutata", () => {
+    expect(gradeField(rule("rel", 5), "t", "1", null, 0.001, 1, defaultRubric.partial)).toBeNull();
+  });
+});
+
+describe("rubricOf", () => {
+  it("completa la rubrica pubblicata con i valori predefiniti", () => {
+    const r = rubricOf({ rubric: { maxScore: 30, fields: { vmax: { tol: 10 } } } });
+    expect(r.maxScore).toBe(30);
+    expect(r.minScore).toBe(defaultRubric.minScore);
+    expect(r.fields.vmax).toEqual({ ...defaultRubric.fields.vmax, tol: 10 });
+    expect(r.fields.period).toEqual(defaultRubric.fields.period);
+  });
+});
+
+describe("studentKey", () => {
+  it("ignora maiuscole e spazi", () => {
+    expect(studentKey({ name: " Anna", surname: "ROSSI", class: "4a " })).toBe("rossi|anna|4a");
+  });
+});
@@ -0,0 +1,115 @@
+/** Valutazione delle misure degli studenti con la rubrica del docente. */
+
+import { parseNumber } from "../i18n";
+import { phaseDifferenceDeg, referenceMeasures } from "./measures";
+
+// ===========
+// VALUTAZIONE
+// ===========
+/** Chiave che identifica uno studente fra le consegne (cognome|nome|classe, senza maiuscole). */
+export function studentKey(d: any) {
+  return [d.surname, d.name, d.class].map((x) => String(x || "").trim().toLowerCase()).join("|");
+}
+
+// Criteri di valutazione pubblicati dal docente nello stato condiviso. Tolleranza per grandezza:
+// "abs" nell'unità della grandezza, "rel" in percento del valore atteso (mai meno di REL_TOL_FLOOR_DIV divisioni), "div" in divisioni della scala
+// usata dallo studente (V/div del canale per le tensioni, s/div per i tempi).
+// Le grandezze non obbligatorie lasciate vuote non contano; con il credito parziale una risposta entro
+// `band` volte la tolleranza vale `credit` del suo peso. Voto = minScore + (maxScore − minScore) · punti/pesi.
+// [chiave, unità, tipo]: i nomi delle grandezze sono nei cataloghi (quantity.<chiave>).
+export const RUBRIC_QUANTITIES: [string, string, "v" | "t" | "f" | "ph"][] = [
+  ["vmax", "V", "v"], ["vmin", "V", "v"], ["vpp", "V", "v"],
+  ["period", "s", "t"], ["freq", "Hz", "f"], ["phase", "°", "ph"],
+];
+
+export const defaultRubric = {
+  fields: {
+    vmax: { mode: "rel", tol: 5, weight: 1, required: true },
+    vmin: { mode: "rel", tol: 5, weight: 1, required: true },
+    vpp: { mode: "rel", tol: 5, weight: 1, required: true },
+    period: { mode: "rel", tol: 2, weight: 1, required: true },
+    freq: { mode: "rel", tol: 2, weight: 1, required: true },
+    phase: { mode: "abs", tol: 5, weight: 1, required: true },
+  } as Record<string, { mode: "abs" | "rel" | "div"; tol: number; weight: number; required: boolean }>,
+  partial: { enabled: false, band: 2, credit: 0.5 },
+  missingPenalty: 1, // punti tolti se mancano dati personali
+  maxScore: 10,
+  minScore: 5,
+};
+
+
+export function rubricOf(shared: any) {
+  const r = shared.rubric || {};
+  const fields: any = {};
+  for (const [k] of RUBRIC_QUANTITIES) fields[k] = { ...defaultRubric.fields[k], ...(r.fields?.[k] || {}) };
+  return { ...defaultRubric, ...r, fields, partial: { ...defaultRubric.partial, ...(r.partial || {}) } };
+}
+
+// Minimo della tolleranza relativa, in divisioni: vicino a 0 (Vmin di una raddrizzata, ad esempio) la percentuale
+// darebbe una banda nulla, mentre sullo schermo non si legge meglio di un decimo di divisione.
+export const REL_TOL_FLOOR_DIV = 0.1;
+
+/** Semiampiezza della banda di tolleranza attorno al valore atteso `c`. */
+export function toleranceBand(rule: any, kind: string, c: number, sPerDiv: number, vPerDiv: number): number {
+  if (rule.mode === "rel") return Math.max(Math.abs(c) * rule.tol / 100, toleranceBand({ mode: "div", tol: REL_TOL_FLOOR_DIV }, kind, c, sPerDiv, vPerDiv));
+  if (rule.mode === "div" && kind === "v") return rule.tol * vPerDiv;
+  if (rule.mode === "div" && kind === "t") return rule.tol * sPerDiv;
+  if (rule.mode === "div" && kind === "f") return c * c * rule.tol * sPerDiv; // Δf ≈ f² · ΔT
+  return rule.tol;
+}
+
+/** Esito di una singola grandezza: { user, expected, band, dev, status, weight, points }. `raw` è letto nella lingua `lang`. */
+export function gradeField(rule: any, kind: string, raw: any, c: number | null, sPerDiv: number, vPerDiv: number, partial: any, lang?: string) {
+  if (c === null || !isFinite(c)) return null; // grandezza non definita per questa forma d'onda
+  const blank = raw === undefined || raw === null || String(raw).trim() === "";
+  if (blank && !rule.required) return null;
+  const u = parseNumber(raw, lang), band = toleranceBand(rule, kind, c, sPerDiv, vPerDiv);
+  const out = { user: isFinite(u) ? u : null, expected: c, band, dev: isFinite(u) ? u - c : null, status: "missing", weight: rule.weight, points: 0 };
+  if (!isFinite(u)) return out;
+  const err = Math.abs(u - c);
+  if (err <= band + 1e-12) { out.status = "ok"; out.points = rule.weight; }
+  else if (partial.enabled && err <= band * partial.band + 1e-12) { out.status = "partial"; out.points = rule.weight * partial.credit; }
+  else out.status = "wrong";
+  return out;
+}
+
+/**
+ * Valuta le misure di uno studente (`data` = { name, surname, class, date, measures, scale?, lang? }) con la rubrica dello stato condiviso.
+ * Restituisce { ok, perChannel: { [id | "xy"]: { ok, errors, fields } }, punteggio, maxScore, erroriCount, datiMancanti }.
+ * Senza `data.scale` (consegne di versioni precedenti) valgono la base dei tempi del docente e 1 V/div;
+ * `data.lang` è la lingua in cui lo studente ha scritto i numeri (predefinita l'italiano, con la virgola decimale).
+ */
+export function gradeMeasures(shared: any, data: any) {
+  const rubric = rubricOf(shared);
+  const measures = (data.measures && typeof data.measures === "object") ? data.measures : {};
+  const scale = data.scale || {};
+  const sPerDiv = scale.sPerDiv || shared.timeBase;
+  let datiMancanti = 0;
+  if (!data.name) datiMancanti++; if (!data.surname) datiMancanti++; if (!data.class) datiMancanti++; if (!data.date) datiMancanti++;
+  const res: any = { ok: true, perChannel: {} };
+  let earned = 0, total = 0;
+  const add = (key: any, q: string, kind: string, raw: any, c: number | null, vPerDiv: number) => {
+    const f = gradeField(rubric.fields[q], kind, raw, c, sPerDiv, vPerDiv, rubric.partial, data.lang);
+    if (!f) return;
+    const r = res.perChannel[key] ||= { ok: true, errors: 0, fields: {} };
+    r.fields[q] = f; earned += f.points; total += f.weight;
+    if (f.status !== "ok") { r.errors++; r.ok = false; res.ok = false; }
+  };
+  for (const ch of shared.channels) {
+    if (!ch.enabled) continue;
+    const user: any = measures[ch.id] || {};
+    const corr: any = referenceMeasures(ch);
+    res.perChannel[ch.id] = { ok: true, errors: 0, fields: {} };
+    for (const [q, , kind] of RUBRIC_QUANTITIES) if (kind !== "ph") add(ch.id, q, kind, user[q], corr[q], scale.vPerDiv?.[ch.id] || 1);
+  }
+  const xyEx = shared.xyExercise;
+  if (xyEx?.enabled) {
+    const c = phaseDifferenceDeg(shared.channels.find((ch: any) => ch.id === Number(xyEx.x)), shared.channels.find((ch: any) => ch.id === Number(xyEx.y)));
+    add("xy", "phase", "ph", measures.xy?.phase, c, 1);
+  }
+  const erroriCount = Object.values(res.perChannel).reduce((n: number, r: any) => n + r.errors, 0);
+  const { maxScore, minScore } = rubric;
+  let punteggio = total > 0 ? minScore + (maxScore - minScore) * earned / total : maxScore;
+  if (datiMancanti) punteggio = Math.max(0, punteggio - rubric.missingPenalty);
+  return { ...res, punteggio: Math.round(punteggio * 10) / 10, maxScore, erroriCount, datiMancanti };
+}
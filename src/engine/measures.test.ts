@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { defaultCircuit, lowPass } from "./circuit";
+import { measureTrace, phaseDifferenceDeg, referenceMeasures, sampledExtremes } from "./measures";
+import { mulberry32, waveformSample } from "./waveform";
+
+const ch = { id: 1, amplitude: 2, dc: 1, frequency: 100, phase: 0, waveform: "sine", enabled: true };
+
+describe("referenceMeasures", () => {
+  it("sinusoide: picchi, periodo e frequenza", () => {
+    expect(referenceMeasures(ch)).toEqual({ vmax: 3, vmin: -1, vpp: 4, period: 0.01, freq: 100 });
+  });
+
+  it("semionda: vmin = dc, vpp = A", () => {
+    const r = referenceMeasures({ ...ch, waveform: "rectified" });
+    expect(r.vmin).toBe(1);
+    expect(r.vpp).toBe(2);
+  });
+
+  it("AM: periodo di ripetizione 10/f, picco entro A + dc", () => {
+    const r = referenceMeasures({ ...ch, waveform: "am" });
+    expect(r.period).toBeCloseTo(0.1, 12);
+    expect(r.vmax).toBeLessThanOrEqual(3 + 1e-9);
+  });
+
+  it("rumore: nessun periodo da valutare", () => {
+    const r = referenceMeasures({ ...ch, waveform: "noise" });
+    expect(r.period).toBeNull();
+    expect(r.freq).toBeNull();
+  });
+
+  it("forma arbitraria: estremi esatti uguali a quelli campionati", () => {
+    const arb = { ...ch, waveform: "arbitrary", arb: { source: "harmonics", harmonics: [{ amp: 0, phase: 0 }, { amp: 1, phase: 0 }, { amp: 0, phase: 0 }, { amp: 0.5, phase: 0 }] } };
+    const r = referenceMeasures(arb), s = sampledExtremes(arb, r.period!);
+    expect(r.vmax).toBeCloseTo(s.vmax, 3);
+    expect(r.vmin).toBeCloseTo(s.vmin, 3);
+  });
+});
+
+describe("circuito di ingresso", () => {
+  const gen = { ...ch, dc: 0, frequency: 1000 };
+
+  it("RC passa-basso alla frequenza di taglio: guadagno 1/√2, sfasamento 45°", () => {
+    const rc = { ...gen, circuit: { ...defaultCircuit, type: "rc-lp", R: 1000, C: 1 / (2 * Math.PI * 1e6) } };
+    expect(referenceMeasures(rc).vmax).toBeCloseTo(2 / Math.SQRT2, 3);
+    expect(phaseDifferenceDeg(gen, rc)).toBeCloseTo(45, 1);
+  });
+
+  it("raddrizzatore a doppia semionda: periodo dimezzato", () => {
+    const full = { ...gen, circuit: { ...defaultCircuit, type: "full", C: 0 } };
+    const r = referenceMeasures(full);
+    expect(r.period).toBeCloseTo(0.0005, 12);
+    expect(r.vmax).toBeCloseTo(2 - 2 * defaultCircuit.vd, 3);
+  });
+
+  it("RLC serie alla risonanza: sul resistore guadagno 1", () => {
+    const rlc = { ...gen, circuit: { ...defaultCircuit, type: "rlc", R: 100, L: 0.01, C: 1 / ((2 * Math.PI * 1000) ** 2 * 0.01), out: "r" } };
+    expect(referenceMeasures(rlc).vmax).toBeCloseTo(2, 2);
+  });
+
+  it("RLC sovrasmorzato: guadagno sul condensatore 1/|1 − ω²LC + jωRC|", () => {
+    const R = 1e4, L = 1e-3, C = 1e-6, w = 2 * Math.PI * 1000;
+    const rlc = { ...gen, circuit: { ...defaultCircuit, type: "rlc", R, L, C, out: "c" } };
+    expect(referenceMeasures(rlc).vmax).toBeCloseTo(2 / Math.hypot(1 - w * w * L * C, w * R * C), 4);
+  });
+
+  it("RLC rigido (1 Ω, 1 µH, 1 pF a 50 Hz): la traccia resta finita e segue l'ingresso", () => {
+    const rlc = { ...gen, frequency: 50, circuit: { ...defaultCircuit, type: "rlc", R: 1, L: 1e-6, C: 1e-12, out: "c" } };
+    const r = referenceMeasures(rlc);
+    expect(r.vmax).toBeCloseTo(2, 3);
+    expect(r.vmin).toBeCloseTo(-2, 3);
+    expect(r.period).toBeCloseTo(0.02, 9);
+  });
+
+  it("banda passante sul rumore: un polo a fc riduce la varianza del rumore bianco di a/(2 − a)", () => {
+    const N = 20000, dt = 1e-6, fc = 20e3, rng = mulberry32(7);
+    const y = Float64Array.from({ length: N }, () => 1 + (rng() * 2 - 1) * Math.sqrt(3));
+    lowPass(y, N, fc, dt, 1);
+    const mean = y.reduce((s, v) => s + v, 0) / N, sd = Math.sqrt(y.reduce((s, v) => s + (v - mean) ** 2, 0) / N);
+    const a = 1 - Math.exp(-2 * Math.PI * fc * dt);
+    expect(mean).toBeCloseTo(1, 1);
+    expect(sd).toBeCloseTo(Math.sqrt(a / (2 - a)), 1);
+  });
+});
+
+describe("phaseDifferenceDeg", () => {
+  it("modulo dello sfasamento in [0, 180]", () => {
+    expect(phaseDifferenceDeg(ch, { ...ch, phase: Math.PI / 2 })).toBeCloseTo(90, 9);
+    expect(phaseDifferenceDeg(ch, { ...ch, phase: (3 * Math.PI) / 2 })).toBeCloseTo(90, 9);
+  });
+
+  it("frequenze diverse: non definito", () => {
+    expect(phaseDifferenceDeg(ch, { ...ch, frequency: 200 })).toBeNull();
+  });
+});
+
+describe("measureTrace", () => {
+  it("ritrova i valori di riferimento su un record senza rumore (quadra)", () => {
+    const sq = { ...ch, waveform: "square", difficulty: "base" }, dt = 1e-5;
+    const ys = Float64Array.from({ length: 5000 }, (_, i) => waveformSample("square", i * dt, sq));
+    const m = measureTrace(ys, 0, ys.length - 1, dt), r = referenceMeasures(sq);
+    expect(m.vpp).toBeCloseTo(r.vpp, 9);
+    expect(Math.abs(m.period - r.period!) / r.period!).toBeLessThan(0.01);
+    expect(m.duty).toBeCloseTo(0.5, 2);
+  });
+
+  it("traccia piatta: grandezze temporali non determinabili", () => {
+    const m = measureTrace(new Float64Array(100).fill(1), 0, 99, 1e-3);
+    expect(m.mean).toBe(1);
+    expect(m.period).toBeNaN();
+  });
+});
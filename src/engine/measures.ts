@@ -0,0 +1,124 @@
+/** Misure di riferimento dei canali, usate dalla valutazione e dalle misure automatiche. */
+
+import { circuitActive, circuitTable } from "./circuit";
+import { arbTable, defaultArb, repetitionPeriod, waveformSample } from "./waveform";
+
+// =====================
+// MISURE DI RIFERIMENTO
+// =====================
+// Valori "veri" (senza rumore) per ogni forma d'onda: analitici dove possibile,
+// altrimenti ricavati da un record campionato lungo un intero periodo di ripetizione.
+
+/** Vmax/Vmin da un record senza rumore lungo un periodo di ripetizione. */
+export function sampledExtremes(ch: any, T: number) {
+  // FM: la frequenza istantanea arriva a f + 0.025·f², servono abbastanza punti per ciclo
+  const fMax = ch.waveform === "fm" ? ch.frequency + 0.025 * ch.frequency * ch.frequency : ch.frequency * 2;
+  const N = Math.min(2_000_000, Math.max(20000, Math.ceil(fMax * T * 200)));
+  const p = { ...ch, noise: 0, difficulty: "base" };
+  let vmax = -Infinity, vmin = Infinity;
+  for (let i = 0; i < N; i++) {
+    const y = waveformSample(ch.waveform, (i / N) * T, p);
+    if (y > vmax) vmax = y; if (y < vmin) vmin = y;
+  }
+  return { vmax, vmin };
+}
+
+/**
+ * Misure attese per un canale: { vmax, vmin, vpp, period, freq }.
+ * Le grandezze non definite (es. periodo del rumore) valgono null e non vanno valutate.
+ */
+export function referenceMeasures(ch: any) {
+  if (circuitActive(ch)) {
+    const c = circuitTable(ch);
+    return { vmax: c.vmax, vmin: c.vmin, vpp: c.vmax - c.vmin, period: c.period, freq: 1 / c.period };
+  }
+  const A = ch.amplitude, dc = ch.dc || 0;
+  const T = repetitionPeriod(ch);
+  const period = T, freq = T ? 1 / T : (ch.waveform === "noise" ? null : 0);
+  let vmax: number, vmin: number;
+  switch (ch.waveform) {
+    case "sine": case "square": case "triangle": case "saw": case "noise":
+      vmax = A + dc; vmin = -A + dc; break;
+    case "rectified":
+      vmax = A + dc; vmin = dc; break;
+    case "arbitrary": {
+      // estremi esatti: con l'interpolazione lineare stanno sui punti della tabella
+      const tab = arbTable(ch.arb || defaultArb);
+      let hi = -Infinity, lo = Infinity; for (const v of tab) { if (v > hi) hi = v; if (v < lo) lo = v; }
+      vmax = A * hi + dc; vmin = A * lo + dc; break;
+    }
+    default: {
+      if (!T) { const y = waveformSample(ch.waveform, 0, { ...ch, noise: 0, difficulty: "base" }); vmax = y; vmin = y; break; }
+      ({ vmax, vmin } = sampledExtremes(ch, T));
+    }
+  }
+  return { vmax, vmin, vpp: vmax - vmin, period, freq };
+}
+
+/**
+ * Sfasamento atteso (°) fra il canale Y e il canale X di un esercizio XY, in [0, 180]:
+ * dalla figura di Lissajous si ricava il modulo, il verso si legge dall'inclinazione dell'ellisse.
+ * null se le frequenze differiscono (lo sfasamento non è definito).
+ */
+export function phaseDifferenceDeg(chX: any, chY: any) {
+  if (!chX || !chY || chX.frequency !== chY.frequency) return null;
+  // con un circuito conta la fase della fondamentale in uscita
+  const phaseOf = (ch: any) => ch.phase + (circuitActive(ch) ? circuitTable(ch).phaseShift : 0);
+  const d = (((phaseOf(chY) - phaseOf(chX)) * 180) / Math.PI) % 360;
+  const w = d > 180 ? d - 360 : d <= -180 ? d + 360 : d;
+  return Math.abs(w);
+}
+
+// =================
+// MISURE AUTOMATICHE
+// =================
+// Motore di misura sui campioni acquisiti (come il menu "Measure" di un oscilloscopio reale).
+// Frequenza e duty cycle usano gli attraversamenti del livello medio con isteresi (robusti al rumore),
+// i tempi di salita/discesa le soglie 10%–90% dell'escursione.
+
+/** Misure sui campioni ys[from..to] con passo dt. Le grandezze non determinabili valgono NaN. */
+export function measureTrace(ys: ArrayLike<number>, from: number, to: number, dt: number) {
+  const i0 = Math.max(0, Math.floor(from)), i1 = Math.min(ys.length - 1, Math.ceil(to));
+  let vmax = -Infinity, vmin = Infinity, sum = 0, sum2 = 0;
+  for (let i = i0; i <= i1; i++) { const y = ys[i]; if (y > vmax) vmax = y; if (y < vmin) vmin = y; sum += y; sum2 += y * y; }
+  const n = i1 - i0 + 1, vpp = vmax - vmin;
+  const res = { vmax, vmin, vpp, mean: sum / n, rms: Math.sqrt(sum2 / n), period: NaN, freq: NaN, duty: NaN, rise: NaN, fall: NaN };
+  if (!(vpp > 0)) return res;
+
+  const mid = vmin + vpp / 2, hyst = 0.1 * vpp, lo = vmin + 0.1 * vpp, hi = vmin + 0.9 * vpp;
+  const cross = (j: number) => j + (ys[j] - mid) / (ys[j] - ys[j + 1]); // indice frazionario tra j e j+1
+  const rising: number[] = [], rises: number[] = [], falls: number[] = [];
+  let state = ys[i0] > mid ? 1 : -1, lastBelow = -1, lastAbove = -1;
+  for (let i = i0; i <= i1; i++) {
+    const y = ys[i];
+    if (state < 0 && y > mid + hyst && lastBelow >= 0) {
+      state = 1; rising.push(cross(lastBelow));
+      const t = edgeTime(ys, lastBelow, i0, i1, lo, hi, 1); if (isFinite(t)) rises.push(t);
+    } else if (state > 0 && y < mid - hyst && lastAbove >= 0) {
+      state = -1;
+      const t = edgeTime(ys, lastAbove, i0, i1, hi, lo, -1); if (isFinite(t)) falls.push(t);
+    }
+    if (y < mid) lastBelow = i; else lastAbove = i;
+  }
+  if (rising.length >= 2) {
+    const a = rising[0], b = rising[rising.length - 1];
+    res.period = ((b - a) / (rising.length - 1)) * dt; res.freq = 1 / res.period;
+    let above = 0; for (let i = Math.ceil(a); i < b; i++) if (ys[i] > mid) above++;
+    res.duty = above / (b - a);
+  }
+  const avg = (v: number[]) => v.length ? v.reduce((x, y) => x + y, 0) / v.length : NaN;
+  res.rise = avg(rises) * dt; res.fall = avg(falls) * dt;
+  return res;
+}
+
+/**
+ * Durata (in campioni) di un fronte attorno all'attraversamento del livello medio in j:
+ * dall'ultimo passaggio per `start` prima di j al primo passaggio per `end` dopo j. dir = +1 salita, -1 discesa.
+ */
+function edgeTime(ys: ArrayLike<number>, j: number, i0: number, i1: number, start: number, end: number, dir: number) {
+  let a = j; while (a > i0 && dir * (ys[a] - start) > 0) a--;
+  let b = j + 1; while (b < i1 && dir * (ys[b] - end) < 0) b++;
+  if (dir * (ys[a] - start) > 0 || dir * (ys[b] - end) < 0) return NaN; // fronte tagliato dal bordo
+  const ta = a + (start - ys[a]) / (ys[a + 1] - ys[a]), tb = b - 1 + (end - ys[b - 1]) / (ys[b] - ys[b - 1]);
+  return tb - ta;
+}
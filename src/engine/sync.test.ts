@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { nextState, reduceSync } from "./sync";
+
+const state = { timeBase: 0.001, channels: [] };
+
+describe("reduceSync", () => {
+  it("SET_STATE del docente sostituisce lo stato", () => {
+    const payload = { ...state, timeBase: 0.002 };
+    for (const role of ["teacher", "student"] as const) expect(reduceSync(state, { type: "SET_STATE", payload, from: "teacher" }, role)).toEqual({ state: payload, reply: null });
+  });
+
+  it("SET_STATE di uno studente o senza mittente è ignorato", () => {
+    const payload = { ...state, locked: false };
+    for (const from of ["student", undefined]) expect(reduceSync(state, { type: "SET_STATE", payload, from }, "teacher").state).toBe(state);
+  });
+
+  it("il docente ripubblica lo stato quando entra nella stanza", () => {
+    const r = reduceSync(state, { type: "JOINED", room: "AULA1", peers: 3 }, "teacher");
+    expect(r.state).toBe(state);
+    expect(r.reply).toEqual({ type: "SET_STATE", payload: state, from: "teacher" });
+  });
+
+  it("lo studente che entra attende lo stato dal docente", () => {
+    expect(reduceSync(state, { type: "JOINED", room: "AULA1", peers: 3 }, "student")).toEqual({ state, reply: null });
+  });
+
+  it("gli altri messaggi non cambiano lo stato", () => {
+    for (const msg of [{ type: "SUBMIT", payload: {} }, null, "rumore"]) expect(reduceSync(state, msg, "teacher").state).toBe(state);
+  });
+});
+
+describe("nextState", () => {
+  it("accetta un valore o una funzione dello stato corrente", () => {
+    expect(nextState(state, { a: 1 })).toEqual({ a: 1 });
+    expect(nextState(state, (s: any) => ({ ...s, locked: true }))).toEqual({ ...state, locked: true });
+  });
+});
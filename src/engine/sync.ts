@@ -0,0 +1,18 @@
+/** Regole dello stato condiviso sincronizzato fra docente e studenti, indipendenti dal trasporto. */
+
+/**
+ * Effetto di un messaggio in arrivo sullo stato corrente.
+ * Restituisce { state, reply }: il nuovo stato (lo stesso oggetto se non cambia) e l'eventuale messaggio da rimandare.
+ * Solo il docente pubblica lo stato: un SET_STATE senza `from: "teacher"` è ignorato.
+ */
+export function reduceSync(state: any, msg: any, role: "teacher" | "student") {
+  if (msg?.type === "SET_STATE") return msg.from === "teacher" ? { state: msg.payload, reply: null } : { state, reply: null };
+  // il docente è la fonte dello stato: appena entra (o rientra) nella stanza lo ripubblica
+  if (msg?.type === "JOINED" && role === "teacher") return { state, reply: { type: "SET_STATE", payload: state, from: "teacher" } };
+  return { state, reply: null };
+}
+
+/** Stato dopo una pubblicazione locale: `next` è il nuovo stato o una funzione dello stato corrente. */
+export function nextState(state: any, next: any) {
+  return typeof next === "function" ? next(state) : next;
+}
@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest";
+import { arbFundamental, hashSeed, mulberry32, parseWaveCsv, repetitionPeriod, samplesFromCsv, signalMean, waveformSample } from "./waveform";
+
+const ch = { id: 1, amplitude: 2, dc: 1, frequency: 100, phase: 0, waveform: "sine", difficulty: "base" };
+
+/** Estremi e media su `n` campioni di un periodo. */
+function scan(type: string, p: any, T: number, n = 10000) {
+  let max = -Infinity, min = Infinity, sum = 0;
+  for (let i = 0; i < n; i++) {
+    const y = waveformSample(type, (i / n) * T, p);
+    max = Math.max(max, y); min = Math.min(min, y); sum += y;
+  }
+  return { max, min, mean: sum / n };
+}
+
+describe("waveformSample", () => {
+  it.each(["sine", "square", "triangle", "saw"])("%s: picchi ±A attorno alla componente continua", (type) => {
+    const { max, min, mean } = scan(type, ch, 0.01);
+    expect(max).toBeCloseTo(3, 3);
+    expect(min).toBeCloseTo(-1, 2);
+    expect(mean).toBeCloseTo(1, 2);
+  });
+
+  it("semionda: minimo alla componente continua", () => {
+    const { max, min } = scan("rectified", ch, 0.01);
+    expect(max).toBeCloseTo(3, 3);
+    expect(min).toBe(1);
+  });
+
+  it("somma di armoniche normalizzata ad ampiezza A", () => {
+    expect(scan("sum2", { ...ch, dc: 0 }, 0.01, 60000).max).toBeCloseTo(2, 3);
+  });
+
+  it("si ripete dopo un periodo", () => {
+    for (const type of ["sine", "square", "triangle", "saw", "sum2"]) {
+      for (const t of [0.0013, 0.0042, 0.0077]) expect(waveformSample(type, t + 0.01, ch)).toBeCloseTo(waveformSample(type, t, ch), 9);
+    }
+  });
+
+  it("la fase sposta la forma d'onda nel tempo", () => {
+    expect(waveformSample("sine", 0, { ...ch, phase: Math.PI / 2 })).toBeCloseTo(3, 9);
+  });
+
+  it("rumore: media nulla e deviazione standard pari al livello impostato", () => {
+    const rng = mulberry32(7), p = { ...ch, amplitude: 0, dc: 0, noise: 0.5, rng };
+    const n = 20000;
+    let sum = 0, sum2 = 0;
+    for (let i = 0; i < n; i++) { const y = waveformSample("sine", i * 1e-5, p); sum += y; sum2 += y * y; }
+    const mean = sum / n, sd = Math.sqrt(sum2 / n - mean * mean);
+    expect(Math.abs(mean)).toBeLessThan(0.02);
+    expect(sd).toBeGreaterThan(0.48);
+    expect(sd).toBeLessThan(0.52);
+  });
+
+  it("rumore legato alla difficoltà: 5% dell'ampiezza in avanzato", () => {
+    const rng = mulberry32(3), p = { ...ch, dc: 0, difficulty: "avanzato", rng };
+    const n = 20000;
+    let sum2 = 0;
+    for (let i = 0; i < n; i++) { const t = i * 1e-5; const e = waveformSample("sine", t, p) - 2 * Math.sin(2 * Math.PI * 100 * t); sum2 += e * e; }
+    expect(Math.sqrt(sum2 / n)).toBeCloseTo(0.1, 2);
+  });
+
+  it("generatore di rumore uniforme in ±A", () => {
+    const rng = mulberry32(11), p = { ...ch, dc: 0, rng };
+    const ys = Array.from({ length: 5000 }, (_, i) => waveformSample("noise", i, p));
+    expect(Math.max(...ys)).toBeLessThanOrEqual(2);
+    expect(Math.min(...ys)).toBeGreaterThanOrEqual(-2);
+    expect(ys.reduce((a, b) => a + b, 0) / ys.length).toBeCloseTo(0, 1);
+  });
+
+  it("stesso seme, stessa sequenza", () => {
+    const a = mulberry32(hashSeed(42, "rossi|anna|4a")), b = mulberry32(hashSeed(42, "rossi|anna|4a"));
+    expect(Array.from({ length: 5 }, a)).toEqual(Array.from({ length: 5 }, b));
+    expect(hashSeed(42, "a")).not.toBe(hashSeed(42, "b"));
+  });
+});
+
+describe("repetitionPeriod", () => {
+  it("AM e FM si ripetono con la modulante", () => {
+    expect(repetitionPeriod({ ...ch, waveform: "am" })).toBeCloseTo(0.1, 12);
+    expect(repetitionPeriod({ ...ch, waveform: "fm" })).toBeCloseTo(0.08, 12);
+  });
+
+  it("rumore e frequenza nulla non hanno periodo", () => {
+    expect(repetitionPeriod({ ...ch, waveform: "noise" })).toBeNull();
+    expect(repetitionPeriod({ ...ch, frequency: 0 })).toBeNull();
+  });
+
+  it("forma arbitraria con sole armoniche pari: periodo dimezzato", () => {
+    const arb = { source: "harmonics", harmonics: [{ amp: 0, phase: 0 }, { amp: 1, phase: 0 }, { amp: 0, phase: 0 }, { amp: 0.5, phase: 0 }] };
+    expect(arbFundamental(arb)).toBe(2);
+    expect(repetitionPeriod({ ...ch, waveform: "arbitrary", arb })).toBeCloseTo(0.005, 12);
+  });
+});
+
+describe("forma arbitraria da CSV", () => {
+  it("legge la virgola decimale e ignora l'intestazione", () => {
+    expect(parseWaveCsv("t;v\n0;0\n0,001;1\n0,002;0\n0,003;-1")).toEqual({ t: [0, 0.001, 0.002, 0.003], v: [0, 1, 0, -1] });
+  });
+
+  it("rifiuta tempi non crescenti", () => {
+    expect(parseWaveCsv("0,0\n1,1\n1,0\n2,1")).toEqual({ error: { key: "arb.csvNotIncreasing", vars: { n: 3 } } });
+    expect(parseWaveCsv("0;0\n1;1")).toEqual({ error: { key: "arb.csvTooShort" } });
+  });
+
+  it("periodo = intervallo coperto più un passo", () => {
+    const { period, peak, samples } = samplesFromCsv([0, 0.001, 0.002, 0.003], [0, 2, 0, -2]);
+    expect(period).toBeCloseTo(0.004, 12);
+    expect(peak).toBe(2);
+    expect(samples).toEqual([0, 1, 0, -1]);
+  });
+});
+
+describe("signalMean", () => {
+  it("componente continua anche per le forme con media propria", () => {
+    expect(signalMean(ch)).toBeCloseTo(1, 9);
+    expect(signalMean({ ...ch, waveform: "rectified", dc: 0 })).toBeCloseTo(2 / Math.PI, 4); // A/π
+    expect(signalMean({ ...ch, waveform: "arbitrary", dc: 0, arb: { source: "samples", samples: [1, 1, 1, -1] } })).toBeCloseTo(1, 2); // A · 0.5
+    expect(signalMean({ ...ch, waveform: "noise" })).toBe(1);
+  });
+});
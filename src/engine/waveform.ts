@@ -0,0 +1,168 @@
+/**
+ * Generatore di segnali: numeri casuali con seme, forma arbitraria, campioni delle forme d'onda
+ * e periodo di ripetizione. Nessuna dipendenza da React o dal DOM.
+ */
+
+// ===============
+// WAVEFORM ENGINE
+// ===============
+/** Generatore pseudo-casuale riproducibile (mulberry32): stesso seme, stessa sequenza in [0, 1). */
+export function mulberry32(seed: number) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Seme a 32 bit da valori qualsiasi (FNV-1a sul testo). */
+export function hashSeed(...parts: any[]) {
+  let h = 0x811c9dc5;
+  const text = parts.map((p) => String(p ?? "")).join("|");
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+export function randn(rng: () => number = Math.random) {
+  let u = 0, v = 0; while (u === 0) u = rng(); while (v === 0) v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Forma d'onda arbitraria: un periodo descritto da armoniche (ampiezza relativa, fase in rad per n = 1, 2, …)
+// o da campioni importati da CSV. Entrambi diventano una tabella normalizzata a picco 1 (poi × amplitude),
+// letta con interpolazione lineare e ripetuta alla frequenza del canale.
+export const ARB_TABLE = 1024, ARB_MAX_SAMPLES = 1024, ARB_MAX_HARMONICS = 20;
+export const defaultArb = { source: "harmonics" as "harmonics" | "samples", harmonics: [{ amp: 1, phase: 0 }, { amp: 0.3, phase: 0 }, { amp: 0.2, phase: 1.57 }], samples: [] as number[] };
+const arbTables = new WeakMap<object, Float64Array>();
+
+export function arbTable(arb: any) {
+  let tab = arbTables.get(arb);
+  if (tab) return tab;
+  if (arb.source === "samples" && arb.samples?.length >= 2) tab = Float64Array.from(arb.samples, (v: number) => isFinite(v) ? v : 0);
+  else {
+    tab = new Float64Array(ARB_TABLE);
+    (arb.harmonics || []).slice(0, ARB_MAX_HARMONICS).forEach((h: any, i: number) => {
+      if (!h?.amp) return;
+      for (let k = 0; k < ARB_TABLE; k++) tab![k] += h.amp * Math.sin(((i + 1) * 2 * Math.PI * k) / ARB_TABLE + (h.phase || 0));
+    });
+  }
+  let peak = 0; for (const v of tab) peak = Math.max(peak, Math.abs(v));
+  if (peak > 0) for (let k = 0; k < tab.length; k++) tab[k] /= peak;
+  arbTables.set(arb, tab);
+  return tab;
+}
+
+/** Valore della tabella alla frazione di periodo `frac` in [0, 1). */
+export function arbValue(tab: Float64Array, frac: number) {
+  const x = frac * tab.length, i = Math.floor(x) % tab.length;
+  return tab[i] + (tab[(i + 1) % tab.length] - tab[i]) * (x - Math.floor(x));
+}
+
+/** Il segnale si ripete a f·g, con g = MCD delle armoniche presenti (es. solo pari ⇒ periodo dimezzato). */
+export function arbFundamental(arb: any) {
+  if (arb.source === "samples") return 1;
+  const gcd = (a: number, b: number): number => b ? gcd(b, a % b) : a;
+  return (arb.harmonics || []).slice(0, ARB_MAX_HARMONICS).reduce((g: number, h: any, i: number) => h?.amp ? gcd(g, i + 1) : g, 0) || 1;
+}
+
+/**
+ * Legge un CSV tempo;tensione (separatore "," ";" o tab, virgola decimale ammessa con ";" e tab).
+ * Le righe non numeriche (intestazioni) sono ignorate. Restituisce { t, v } oppure { error: { key, vars } } (chiave dei cataloghi).
+ */
+export function parseWaveCsv(text: string) {
+  const t: number[] = [], v: number[] = [];
+  for (const line of text.split(/\r?\n/)) {
+    const sep = line.includes(";") ? ";" : line.includes("\t") ? "\t" : ",";
+    const cells = line.split(sep).map((c) => c.trim());
+    if (cells.length < 2) continue;
+    const num = (c: string) => Number(sep === "," ? c : c.replace(",", "."));
+    const a = num(cells[0]), b = num(cells[1]);
+    if (cells[0] === "" || cells[1] === "" || !isFinite(a) || !isFinite(b)) continue;
+    t.push(a); v.push(b);
+  }
+  if (t.length < 4) return { error: { key: "arb.csvTooShort" } };
+  for (let i = 1; i < t.length; i++) if (!(t[i] > t[i - 1])) return { error: { key: "arb.csvNotIncreasing", vars: { n: i + 1 } } };
+  return { t, v };
+}
+
+/**
+ * Un periodo di campioni CSV → tabella uniforme normalizzata. Il periodo è l'intervallo coperto più un passo medio
+ * (l'ultimo campione precede la ripetizione del primo). Restituisce { samples, peak, period }.
+ */
+export function samplesFromCsv(t: number[], v: number[]) {
+  const N = t.length, step = (t[N - 1] - t[0]) / (N - 1), period = t[N - 1] - t[0] + step;
+  const M = Math.min(ARB_MAX_SAMPLES, N), out: number[] = [];
+  let j = 0;
+  for (let k = 0; k < M; k++) {
+    const tk = t[0] + (k * period) / M;
+    while (j < N - 1 && t[j + 1] <= tk) j++;
+    const t1 = j < N - 1 ? t[j + 1] : t[0] + period, v1 = j < N - 1 ? v[j + 1] : v[0];
+    out.push(v[j] + ((v1 - v[j]) * (tk - t[j])) / (t1 - t[j]));
+  }
+  const peak = out.reduce((m, x) => Math.max(m, Math.abs(x)), 0) || 1;
+  return { samples: out.map((x) => +(x / peak).toFixed(5)), peak, period };
+}
+
+export function waveformSample(type: string, t: number, p: any) {
+  const { amplitude, frequency, phase, dc, difficulty, noise = 0, rng = Math.random } = p;
+  const w = 2 * Math.PI * frequency;
+  const baseSine = Math.sin(w * t + phase);
+  let y = 0;
+  switch (type) {
+    case "sine": y = amplitude * baseSine; break;
+    case "square": y = amplitude * (Math.sin(w * t + phase) >= 0 ? 1 : -1); break;
+    case "triangle": { const frac = ((t * frequency + phase / (2 * Math.PI)) % 1 + 1) % 1; y = amplitude * (4 * Math.abs(frac - 0.5) - 1); break; }
+    case "saw": { const frac = ((t * frequency + phase / (2 * Math.PI)) % 1 + 1) % 1; y = amplitude * (2 * frac - 1); break; }
+    case "rectified": y = amplitude * Math.max(0, baseSine); break;
+    case "am": { const m = 0.5 * (1 + Math.sin(2 * Math.PI * (frequency / 10) * t)); y = (amplitude * m) * Math.sin(w * t + phase); break; }
+    case "fm": { const dev = 0.2 * frequency; const inst = 2 * Math.PI * (frequency * t + (dev / (2 * Math.PI)) * (1 - Math.cos(2 * Math.PI * (frequency / 8) * t))) + phase; y = amplitude * Math.sin(inst); break; }
+    case "noise": y = amplitude * (rng() * 2 - 1); break;
+    case "arbitrary": { const frac = ((t * frequency + phase / (2 * Math.PI)) % 1 + 1) % 1; y = amplitude * arbValue(arbTable(p.arb || defaultArb), frac); break; }
+    case "sum2": {
+      // Somma armonica normalizzata (1° + 2° armonica) con fase coerente
+      // y_raw = sin(ωt+φ) + 0.5·sin(2ωt+2φ)
+      // picco teorico = 1.2990381057 (a x=π/3 quando φ=0) ⇒ normalizzo per avere ampiezza unitaria
+      const raw = Math.sin(w * t + phase) + 0.5 * Math.sin(2 * w * t + 2 * phase);
+      const NORM = 1.299038105676658; // 3*sqrt(3)/4 ≈ 1.2990381
+      y = amplitude * (raw / NORM);
+      break;
+    }
+    default: y = amplitude * baseSine;
+  }
+  return y + dc + noiseTerm(p);
+}
+
+/** Rumore del generatore: quello impostato dal docente più quello legato alla difficoltà. */
+export function noiseTerm(p: any) {
+  const { amplitude, difficulty, noise = 0, rng = Math.random } = p;
+  let n = noise; if (difficulty === "intermedio") n += 0.02 * amplitude; if (difficulty === "avanzato") n += 0.05 * amplitude;
+  return n > 0 ? randn(rng) * n : 0;
+}
+
+/** Periodo di ripetizione dell'intero segnale (s). AM: inviluppo a f/10, FM: modulante a f/8. */
+export function repetitionPeriod(ch: any) {
+  const f = ch.frequency;
+  if (!(f > 0)) return null;
+  switch (ch.waveform) {
+    case "am": return 10 / f;
+    case "fm": return 8 / f;
+    case "arbitrary": return 1 / (f * arbFundamental(ch.arb || defaultArb));
+    case "noise": return null;
+    default: return 1 / f;
+  }
+}
+
+/**
+ * Componente continua del generatore (V): media di un periodo di ripetizione senza rumore.
+ * È quello che toglie l'accoppiamento AC; per il rumore puro è il solo `dc`.
+ */
+export function signalMean(ch: any, samples = 1024) {
+  const T = repetitionPeriod(ch);
+  if (T === null) return ch.dc || 0;
+  const p = { ...ch, noise: 0, difficulty: "base" };
+  let sum = 0;
+  for (let i = 0; i < samples; i++) sum += waveformSample(ch.waveform, (i / samples) * T, p);
+  return sum / samples;
+}
@@ -0,0 +1,340 @@
+import type { it } from "./it";
+
+/** Catalogo inglese: stesse chiavi del catalogo italiano (il tipo lo verifica). */
+export const en: Record<keyof typeof it, string> = {
+  // barra di navigazione e connessione
+  "nav.teacher": "Teacher",
+  "nav.students": "Students",
+  "nav.title": "Teaching Oscilloscope • 3 Channels • Synchronised",
+  "nav.language": "Language",
+  "footer.hint": "Tip: open this app in two tabs (#/docente and #/studenti) for a live lesson.",
+  "sync.status.local": "Same browser",
+  "sync.status.connecting": "Connecting…",
+  "sync.status.online": "Online",
+  "sync.status.reconnecting": "Reconnecting…",
+  "sync.status.denied": "Wrong teacher code",
+  "sync.mode": "Synchronisation",
+  "sync.mode.local": "Same browser (tabs)",
+  "sync.mode.ws": "Local network (relay)",
+  "sync.url": "Relay address",
+  "sync.room": "Room code",
+  "sync.newRoom": "New",
+  "sync.apply": "Apply",
+  "sync.shareLink": "Link for students:",
+  "sync.teacherKey": "Teacher code",
+  "sync.teacherKeyHelp": "Needed to join the room as teacher and not included in the student link: do not share it. On another teacher PC, copy it here.",
+  "sync.deniedHelp": "The relay refused to let you in as teacher: the teacher code does not match the room's.",
+
+  // grandezze, livelli, forme d'onda, circuiti
+  "quantity.vmax": "Vmax",
+  "quantity.vmin": "Vmin",
+  "quantity.vpp": "Vpp",
+  "quantity.period": "Period",
+  "quantity.freq": "Frequency",
+  "quantity.phase": "XY phase shift",
+  "level.base": "Basic",
+  "level.intermedio": "Intermediate",
+  "level.avanzato": "Advanced",
+  "wave.sine": "Harmonic: Sine",
+  "wave.sum2": "Harmonic: Sum of sinusoids",
+  "wave.square": "Non-harmonic: Square",
+  "wave.triangle": "Non-harmonic: Triangle",
+  "wave.saw": "Non-harmonic: Sawtooth",
+  "wave.rectified": "Non-harmonic: Rectified sine",
+  "wave.am": "Non-harmonic: AM",
+  "wave.fm": "Non-harmonic: FM",
+  "wave.arbitrary": "Arbitrary (harmonics / CSV)",
+  "wave.noise": "Noise",
+  "circuit.none": "None",
+  "circuit.rc-lp": "RC low-pass",
+  "circuit.rc-hp": "RC high-pass",
+  "circuit.rl-lp": "RL low-pass",
+  "circuit.rl-hp": "RL high-pass",
+  "circuit.rlc": "Series RLC",
+  "circuit.half": "Half-wave rectifier",
+  "circuit.full": "Full-wave rectifier",
+
+  // oscilloscopio
+  "scope.status.stop": "Stop",
+  "scope.status.fft": "FFT {n} points",
+  "scope.status.trigd": "Trig'd",
+  "scope.status.auto": "Auto (untriggered)",
+  "scope.status.normalWait": "Trig? waiting",
+  "scope.status.singleWait": "Single: waiting",
+  "scope.status.singleDone": "Single: captured",
+  "scope.bandwidth": "bandwidth",
+  "scope.cursor": "cursor",
+  "scope.peaks": "peaks",
+  "scope.resolution": "Resolution",
+  "fft.window": "Window",
+  "fft.window.rect": "Rectangular",
+  "fft.window.hann": "Hann",
+  "fft.window.flattop": "Flat-top",
+  "fft.scale": "Scale",
+  "fft.scale.db": "dB (dBV)",
+  "fft.scale.lin": "Linear (V)",
+  "fft.linear": "linear",
+  "fft.span": "Span (Hz, 0 = max)",
+  "fft.cursor": "Cursor f (Hz)",
+  "auto.title": "Automatic measurements",
+  "auto.mean": "Mean",
+  "auto.rms": "Vrms",
+  "auto.duty": "Duty cycle",
+  "auto.rise": "Rise 10–90%",
+  "auto.fall": "Fall 90–10%",
+
+  // esiti
+  "grade.yours": "Yours",
+  "grade.band": "Accepted band",
+  "grade.dev": "Deviation",
+  "grade.ok": "OK",
+  "grade.partial": "partial",
+  "grade.wrong": "out",
+  "grade.missing": "missing",
+  "result.allOk": "All measurements within tolerance.",
+  "result.someWrong": "Some measurements are out of tolerance.",
+  "result.score": "Automatic score: {score} / {max}",
+  "result.errors": "Errors: {n}",
+
+  // pagina docente
+  "teacher.title": "Teacher Panel",
+  "teacher.intro": "Set up the channels and publish the simulation. Open #/studenti in another tab.",
+  "teacher.difficulty": "Difficulty:",
+  "teacher.cursors": "Student cursors",
+  "teacher.autoMeasure": "Student automatic measurements",
+  "teacher.timeOnly": "Time domain only",
+  "teacher.xy": "XY exercise",
+  "teacher.perStudent": "Individual exercise per student",
+  "teacher.seed": "Seed:",
+  "teacher.randomKeep": "Random (same level)",
+  "teacher.perStudentNote": "Individual exercise on: each student sees channels generated from seed {seed} and their own details; below is the reference exercise for the seed.",
+  "domain.time": "Time",
+  "domain.fft": "Frequency (FFT)",
+  "channel.enabled": "On",
+  "channel.waveform": "Waveform",
+  "channel.amplitude": "Amplitude (V peak)",
+  "channel.frequency": "Frequency (Hz)",
+  "channel.phase": "Phase (rad)",
+  "channel.dc": "DC offset (V)",
+  "channel.noise": "Noise (V rms)",
+  "channel.color": "Trace colour",
+  "arb.source": "Defined by",
+  "arb.source.harmonics": "Harmonics",
+  "arb.source.samples": "CSV samples",
+  "arb.amp": "Rel. amplitude",
+  "arb.addHarmonic": "+ Harmonic",
+  "arb.normalized": "The sum is normalised: the channel \"Amplitude\" is the peak, \"Frequency\" the fundamental.",
+  "arb.csvInfo": "{file}: {n} samples, period {period}, peak {peak}",
+  "arb.points": "{n} points per period",
+  "arb.noCsv": "No CSV imported.",
+  "arb.csvHelp": "Rows of time (s); voltage (V) covering one period, without repeating the first point. Amplitude and frequency come from the file.",
+  "arb.csvTooShort": "at least 4 time;voltage rows are needed",
+  "arb.csvNotIncreasing": "times do not increase at sample {n}",
+  "circuit.label": "Circuit between generator and oscilloscope",
+  "circuit.rLoad": "Load R (Ω)",
+  "circuit.cSmooth": "Smoothing C (µF)",
+  "circuit.out": "Output across",
+  "circuit.vd": "Diode Vd (V)",
+  "circuit.noNoise": "pure noise does not go through the circuit",
+  "circuit.help": "For attenuation and phase shift, also show the generator on another channel, without a circuit.",
+  "test.title": "Timed test",
+  "test.unlimited": "Running (no time limit)",
+  "test.expired": "Time is up",
+  "test.remaining": "Time left {time}",
+  "test.minutes": "Duration (min)",
+  "test.onTimeout": "When time is up",
+  "test.onTimeout.freeze": "Freeze answers",
+  "test.onTimeout.submit": "Submit automatically",
+  "test.lockScale": "Lock scale controls",
+  "test.lockMeasures": "Lock measurement entry",
+  "test.stop": "End and show results",
+  "test.start": "Start test",
+  "test.help": "During the test students see neither their results nor the automatic measurements; a duration of 0 sets no deadline.",
+  "model.title": "Real oscilloscope (Advanced difficulty)",
+  "model.active": " – active",
+  "model.bandwidth": "Bandwidth (kHz)",
+  "model.memory": "Memory (points/screen)",
+  "model.maxRate": "Max sample rate (kSa/s)",
+  "model.bits": "ADC bits",
+  "model.help": "At \"Advanced\" the sample rate is memory / (10 · s/div), capped at the value above (memory up to 4000 points): with a time base that is too slow, aliasing appears. The signal, noise included, goes through a filter with the given bandwidth and the ADC quantises over the vertical window of the screen.",
+  "rubric.title": "Grading criteria",
+  "rubric.quantity": "Quantity",
+  "rubric.tolerance": "Tolerance",
+  "rubric.value": "Value",
+  "rubric.weight": "Weight",
+  "rubric.required": "Required",
+  "rubric.mode.abs": "Absolute ({unit})",
+  "rubric.mode.rel": "Relative (%)",
+  "rubric.mode.div": "In divisions",
+  "rubric.partial": "Partial credit",
+  "rubric.band": "Within × tolerance",
+  "rubric.credit": "Share of weight",
+  "rubric.maxScore": "Maximum mark",
+  "rubric.minScore": "Minimum mark",
+  "rubric.penalty": "Missing details penalty",
+  "rubric.reset": "Restore defaults",
+  "rubric.help": "Tolerances in divisions use the scale chosen by the student (channel V/div, s/div for period and frequency); relative ones never go below a tenth of a division. Optional quantities left blank do not count. Score = minimum + (maximum − minimum) · points earned / sum of weights, minus the penalty if personal data is missing.",
+  "subs.title": "Student submissions",
+  "subs.round": "Round {round} • {n} submissions",
+  "subs.newRound": "New round",
+  "subs.exportCsv": "Export CSV",
+  "subs.clear": "Clear",
+  "subs.confirmClear": "Delete all submissions?",
+  "subs.none": "No submissions received.",
+  "subs.student": "Student",
+  "subs.roundCol": "Round",
+  "subs.sent": "Sent",
+  "subs.score": "Score",
+  "subs.incomplete": "Incomplete personal details",
+  "subs.errors": "{n} err.",
+  "subs.allowed": "Resubmission allowed",
+  "subs.allow": "Allow resubmission",
+  "subs.csv.errors": "Errors",
+  "subs.csv.result": "Result {ch}",
+  "subs.csv.nErrors": "{n} errors",
+  "lib.title": "Exercise library",
+  "lib.name": "Scenario name",
+  "lib.namePlaceholder": "e.g. Test 4A – square wave",
+  "lib.description": "Description",
+  "lib.save": "Save current settings",
+  "lib.import": "Import JSON",
+  "lib.exportAll": "Export all",
+  "lib.saved": "Scenario \"{name}\" saved.",
+  "lib.loaded": "Loaded \"{name}\".",
+  "lib.imported": "{n} scenarios imported from {file}.",
+  "lib.starter": "built-in",
+  "lib.load": "Load",
+  "lib.export": "Export",
+  "lib.delete": "Delete",
+  "lib.confirmDelete": "Delete \"{name}\"?",
+  "lib.v1Name": "Imported state (v1)",
+  "lib.err.unnamed": "unnamed scenario",
+  "lib.err.invalid": "invalid scenario",
+  "lib.err.noName": "the scenario has no name",
+  "lib.err.noSettings": "settings are missing",
+  "lib.err.difficulty": "unknown difficulty \"{value}\"",
+  "lib.err.timeBase": "invalid time base",
+  "lib.err.channelCount": "1 to 3 channels are required",
+  "lib.err.channelId": "invalid or repeated channel id",
+  "lib.err.waveform": "unknown waveform \"{value}\"",
+  "lib.err.value": "invalid {field}",
+  "lib.err.bool": "{field} must be true/false",
+  "lib.err.color": "invalid colour",
+  "lib.err.circuit": "invalid circuit",
+  "lib.err.arb": "invalid arbitrary waveform",
+  "lib.err.xy": "invalid XY exercise",
+  "lib.err.scopeModel": "invalid oscilloscope model",
+  "lib.err.exercise": "invalid exercise seed",
+  "lib.err.test": "invalid test settings",
+  "lib.err.testMinutes": "invalid test duration",
+  "lib.err.onTimeout": "unknown timeout action \"{value}\"",
+  "lib.err.rubric": "invalid grading criteria",
+  "lib.err.partial": "invalid partial credit",
+  "lib.err.quantity": "unknown quantity \"{value}\" in the criteria",
+  "lib.err.scoreRange": "minimum score {min} above the maximum {max}",
+  "lib.err.rule": "invalid criterion \"{value}\"",
+  "lib.err.json": "the file is not valid JSON",
+  "lib.err.version": "version {version} not supported (expected {expected})",
+  "lib.err.noList": "the list of scenarios is missing",
+  "lib.err.format": "unrecognised format",
+  "scenario.starter-rete-50hz.name": "Rectified mains voltage (50 Hz)",
+  "scenario.starter-rete-50hz.description": "12 V RMS secondary with half-wave rectification (CH1) compared with the sine wave (CH2): measure Vmax, period and frequency.",
+  "scenario.starter-am.name": "AM modulation depth",
+  "scenario.starter-am.description": "1 kHz carrier modulated at 100 Hz: work out the modulation depth from the envelope (Vmax and Vmin).",
+  "scenario.starter-lissajous.name": "Phase shift with Lissajous figures",
+  "scenario.starter-lissajous.description": "Two phase-shifted 500 Hz sine waves: measure the phase shift in XY mode.",
+  "scenario.starter-rc.name": "RC low-pass filter: attenuation and phase shift",
+  "scenario.starter-rc.description": "CH1 generator at 1 kHz, CH2 output of an RC with fc ≈ 1 kHz: measure the attenuation and the phase shift (in XY too).",
+  "scenario.starter-forme.name": "Square, triangle and sawtooth",
+  "scenario.starter-forme.description": "Three non-harmonic waveforms at different frequencies with a little noise: full measurements on every channel.",
+
+  // pagina studenti
+  "student.title": "Student Page",
+  "student.testRunning": "Test in progress",
+  "student.expired": "Time is up: answers are locked.",
+  "student.needIdentity": "Individual exercise: enter first name, surname and class to receive your signals.",
+  "student.details": "Student details",
+  "student.name": "First name",
+  "student.surname": "Surname",
+  "student.class": "Class",
+  "student.date": "Date",
+  "student.scale": "Scale controls",
+  "student.scaleLocked": "Scale locked by the teacher during the test.",
+  "student.invert": "Invert",
+  "student.position": "Pos. (div)",
+  "student.coupling": "Coupling",
+  "student.spectrum": "Spectrum",
+  "student.timeOnly": "The teacher has locked the view to the time domain.",
+  "student.domain": "Domain",
+  "student.displayMath": "Display and MATH",
+  "student.mode": "Mode",
+  "student.mathTrace": "MATH trace",
+  "student.op": "Op.",
+  "student.unitsPerDiv": "Units/div",
+  "trigger.source": "Source",
+  "trigger.level": "Level (V)",
+  "trigger.slope": "Slope",
+  "trigger.rising": "↑ Rising",
+  "trigger.falling": "↓ Falling",
+  "student.acquisition": "Acquisition",
+  "student.persistence": "Persistence",
+  "persistence.off": "Off",
+  "persistence.short": "Short",
+  "persistence.long": "Long",
+  "persistence.inf": "Infinite",
+  "student.interp": "Interpolation",
+  "interp.linear": "Linear",
+  "interp.dots": "Dots",
+  "interp.sinc": "sin(x)/x",
+  "student.cursors": "Cursors",
+  "student.cursorsOff": "Cursors disabled by the teacher: count the divisions on the grid.",
+  "cursors.off": "Off",
+  "cursors.h": "Horizontal (ΔV)",
+  "cursors.v": "Vertical (Δt)",
+  "cursors.both": "Both",
+  "student.cursorScale": "V scale of",
+  "student.cursorHelp": "Drag the dashed lines on the screen.",
+  "student.measuresLocked": "Measurement entry locked by the teacher.",
+  "measure.title": "CH{id} measurements",
+  "measure.on": "on",
+  "measure.off": "off",
+  "student.xyTitle": "XY exercise – phase shift of CH{y} relative to CH{x}",
+  "student.xyHelp": "Switch to XY mode and work out the phase shift from the Lissajous figure (sin φ = Y₀ / Yₘₐₓ).",
+  "student.phase": "Phase shift (°)",
+  "student.check": "Check within tolerance",
+  "student.checkLater": "Results will be shown when the teacher ends the test.",
+  "student.submit": "Submit to teacher",
+  "student.submitNeedIdentity": "Enter first name, surname and class to submit.",
+  "student.submittedAt": "Submitted at {time}",
+  "student.ackOk": "received by the teacher",
+  "student.sending": "Sending…",
+  "student.sendError.offline": "Sending failed: no connection to the teacher. Try again.",
+  "student.sendError.timeout": "The teacher did not confirm receipt. Check the connection and try again.",
+  "student.sendError.rejected": "Submission rejected: the teacher already has one for this round. A new submission needs their permission.",
+  "student.resubmitNeedsPermission": "A new submission needs the teacher's permission.",
+  "student.resubmitAllowed": "The teacher has allowed a new submission.",
+  "student.submitOnce": "You can submit only once.",
+  "student.report": "{kind} report",
+
+  // relazione di laboratorio
+  "report.title": "Lab report – Oscilloscope",
+  "report.student": "Student: {name}",
+  "report.class": "Class: {class}",
+  "report.date": "Date: {date}",
+  "report.settings": "Settings",
+  "report.timeBase": "Time base: {sPerDiv}/div • Offset t: {offset}",
+  "report.xyMode": "XY mode",
+  "report.channel": "{vPerDiv}/div • {coupling} coupling • position {position} div",
+  "report.inverted": "inverted",
+  "report.math": "MATH: {expr} • {vPerDiv} units/div",
+  "report.trigger": "Trigger: CH{source}, level {level} V, {slope}, {mode}",
+  "report.rising": "rising",
+  "report.falling": "falling",
+  "report.measures": "Measurements",
+  "report.xyPhase": "Phase shift of CH{y} relative to CH{x}: {value}",
+  "report.result": "Test result",
+  "report.notChecked": "Not checked yet.",
+  "report.allOk": "all measurements within tolerance",
+  "report.someWrong": "some measurements out of tolerance",
+  "report.footer": "Generated on {date} with the oscilloscope simulator",
+};
@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { CATALOGS, parseNumber, translate } from "./index";
+
+describe("parseNumber", () => {
+  it("virgola e punto decimali", () => {
+    expect(parseNumber("0,5")).toBe(0.5);
+    expect(parseNumber("0.5")).toBe(0.5);
+    expect(parseNumber(" -1,25 ")).toBe(-1.25);
+    expect(parseNumber("−0,5")).toBe(-0.5);
+    expect(parseNumber("1,5e-3")).toBe(0.0015);
+  });
+
+  it("separatori delle migliaia", () => {
+    expect(parseNumber("1.234,5")).toBe(1234.5);
+    expect(parseNumber("1 234,5")).toBe(1234.5);
+    expect(parseNumber("1,234.5", "en")).toBe(1234.5);
+  });
+
+  it("la sola virgola dipende dalla lingua", () => {
+    expect(parseNumber("1,500", "it")).toBe(1.5);
+    expect(parseNumber("1,500", "en")).toBe(1500);
+    expect(parseNumber("0,001", "en")).toBe(0.001);
+    expect(parseNumber("2,5", "en")).toBe(2.5);
+  });
+
+  it("come parseFloat: unità ignorata, NaN senza numero", () => {
+    expect(parseNumber("3,3 V")).toBe(3.3);
+    expect(parseNumber("")).toBeNaN();
+    expect(parseNumber("abc")).toBeNaN();
+    expect(parseNumber(undefined)).toBeNaN();
+    expect(parseNumber(4)).toBe(4);
+  });
+});
+
+describe("translate", () => {
+  it("sostituisce le variabili", () => {
+    expect(translate("it", "result.score", { score: 8, max: 10 })).toBe("Punteggio automatico: 8 / 10");
+    expect(translate("en", "result.score", { score: 8, max: 10 })).toBe("Automatic score: 8 / 10");
+  });
+
+  it("lingua sconosciuta: italiano; chiave sconosciuta: la chiave", () => {
+    expect(translate("fr", "nav.teacher")).toBe("Docente");
+    expect(translate("en", "nope.missing")).toBe("nope.missing");
+  });
+
+  it("i cataloghi hanno le stesse chiavi e le stesse variabili", () => {
+    const vars = (s: string) => (s.match(/\{\w+\}/g) || []).sort().join();
+    for (const [key, text] of Object.entries(CATALOGS.it)) {
+      expect(CATALOGS.en[key as keyof typeof CATALOGS.en], key).toBeTypeOf("string");
+      expect(vars(CATALOGS.en[key as keyof typeof CATALOGS.en]), key).toBe(vars(text));
+    }
+    expect(Object.keys(CATALOGS.en).sort()).toEqual(Object.keys(CATALOGS.it).sort());
+  });
+});
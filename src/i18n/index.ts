@@ -0,0 +1,43 @@
+/**
+ * Traduzioni dell'interfaccia e lettura dei numeri scritti dagli studenti.
+ * Modulo puro: il contesto React della lingua è in osci.jsx.
+ */
+import { en } from "./en";
+import { it } from "./it";
+
+// =========================
+// CATALOGHI
+// =========================
+export type Lang = "it" | "en";
+export type MessageKey = keyof typeof it;
+
+export const CATALOGS: Record<Lang, Record<MessageKey, string>> = { it, en };
+export const LANGUAGES: [Lang, string][] = [["it", "Italiano"], ["en", "English"]];
+export const DEFAULT_LANG: Lang = "it";
+
+export function isLang(x: any): x is Lang {
+  return typeof x === "string" && Object.prototype.hasOwnProperty.call(CATALOGS, x);
+}
+
+/** Testo della chiave nella lingua scelta, con `{nome}` sostituito da `vars.nome`; ripiega sull'italiano e poi sulla chiave. */
+export function translate(lang: string, key: string, vars?: Record<string, any>) {
+  const text = (isLang(lang) ? CATALOGS[lang] : it)[key as MessageKey] ?? it[key as MessageKey] ?? key;
+  return vars ? text.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m)) : text;
+}
+
+// =========================
+// NUMERI
+// =========================
+/**
+ * Legge un numero scritto a mano: accetta "0,5" e "0.5", spazi e separatori delle migliaia ("1.234,5", "1 234,5"
+ * e, in inglese, "1,234.5"). Con la sola virgola decide la lingua: "1,500" vale 1.5 in italiano e 1500 in inglese ("0,5" è 0.5 in entrambe).
+ * Come parseFloat ignora quello che segue il numero (l'unità, ad esempio) e dà NaN se il numero manca.
+ */
+export function parseNumber(raw: any, lang: string = DEFAULT_LANG) {
+  if (typeof raw === "number") return raw;
+  let s = String(raw ?? "").trim().replace(/[\s\u00a0\u202f']/g, "").replace(/^[\u2212\u2013]/, "-");
+  const comma = s.lastIndexOf(","), dot = s.lastIndexOf(".");
+  if (comma >= 0 && dot >= 0) s = comma > dot ? s.replace(/\./g, "").replace(",", ".") : s.replace(/,/g, "");
+  else if (comma >= 0) s = lang === "en" && /^[+-]?[1-9]\d{0,2}(,\d{3})+(?![\d,])/.test(s) ? s.replace(/,/g, "") : s.replace(",", ".");
+  return parseFloat(s);
+}
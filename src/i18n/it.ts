@@ -0,0 +1,338 @@
+/** Catalogo italiano (lingua di riferimento: le chiavi degli altri cataloghi devono coincidere con queste). */
+export const it = {
+  // barra di navigazione e connessione
+  "nav.teacher": "Docente",
+  "nav.students": "Studenti",
+  "nav.title": "Oscilloscopio Didattico • 3 Canali • Sincronizzato",
+  "nav.language": "Lingua",
+  "footer.hint": "Suggerimento: apri questa app in due schede (#/docente e #/studenti) per una lezione live.",
+  "sync.status.local": "Stesso browser",
+  "sync.status.connecting": "Connessione…",
+  "sync.status.online": "In rete",
+  "sync.status.reconnecting": "Riconnessione…",
+  "sync.status.denied": "Codice docente errato",
+  "sync.mode": "Sincronizzazione",
+  "sync.mode.local": "Stesso browser (schede)",
+  "sync.mode.ws": "Rete locale (relay)",
+  "sync.url": "Indirizzo relay",
+  "sync.room": "Codice stanza",
+  "sync.newRoom": "Nuovo",
+  "sync.apply": "Applica",
+  "sync.shareLink": "Link per gli studenti:",
+  "sync.teacherKey": "Codice docente",
+  "sync.teacherKeyHelp": "Serve per entrare nella stanza come docente e non compare nel link per gli studenti: non condividerlo. Su un altro PC del docente copialo qui.",
+  "sync.deniedHelp": "Il relay ha rifiutato l'accesso come docente: il codice docente non è quello della stanza.",
+
+  // grandezze, livelli, forme d'onda, circuiti
+  "quantity.vmax": "Vmax",
+  "quantity.vmin": "Vmin",
+  "quantity.vpp": "Vpp",
+  "quantity.period": "Periodo",
+  "quantity.freq": "Frequenza",
+  "quantity.phase": "Sfasamento XY",
+  "level.base": "Base",
+  "level.intermedio": "Intermedio",
+  "level.avanzato": "Avanzato",
+  "wave.sine": "Armonica: Seno",
+  "wave.sum2": "Armonica: Somma di sinusoidi",
+  "wave.square": "Non armonica: Quadra",
+  "wave.triangle": "Non armonica: Triangolare",
+  "wave.saw": "Non armonica: Dente di sega",
+  "wave.rectified": "Non armonica: Seno raddrizzato",
+  "wave.am": "Non armonica: AM",
+  "wave.fm": "Non armonica: FM",
+  "wave.arbitrary": "Arbitraria (armoniche / CSV)",
+  "wave.noise": "Rumore",
+  "circuit.none": "Nessuno",
+  "circuit.rc-lp": "RC passa-basso",
+  "circuit.rc-hp": "RC passa-alto",
+  "circuit.rl-lp": "RL passa-basso",
+  "circuit.rl-hp": "RL passa-alto",
+  "circuit.rlc": "RLC serie",
+  "circuit.half": "Raddrizzatore a semionda",
+  "circuit.full": "Raddrizzatore a doppia semionda",
+
+  // oscilloscopio
+  "scope.status.stop": "Stop",
+  "scope.status.fft": "FFT {n} punti",
+  "scope.status.trigd": "Trig'd",
+  "scope.status.auto": "Auto (non triggerato)",
+  "scope.status.normalWait": "Trig? in attesa",
+  "scope.status.singleWait": "Single: in attesa",
+  "scope.status.singleDone": "Single: acquisito",
+  "scope.bandwidth": "banda",
+  "scope.cursor": "cursore",
+  "scope.peaks": "picchi",
+  "scope.resolution": "Risoluzione",
+  "fft.window": "Finestra",
+  "fft.window.rect": "Rettangolare",
+  "fft.window.hann": "Hann",
+  "fft.window.flattop": "Flat-top",
+  "fft.scale": "Scala",
+  "fft.scale.db": "dB (dBV)",
+  "fft.scale.lin": "Lineare (V)",
+  "fft.linear": "lineare",
+  "fft.span": "Span (Hz, 0 = max)",
+  "fft.cursor": "Cursore f (Hz)",
+  "auto.title": "Misure automatiche",
+  "auto.mean": "Media",
+  "auto.rms": "Vrms",
+  "auto.duty": "Duty cycle",
+  "auto.rise": "Salita 10–90%",
+  "auto.fall": "Discesa 90–10%",
+
+  // esiti
+  "grade.yours": "Tua",
+  "grade.band": "Banda accettata",
+  "grade.dev": "Scarto",
+  "grade.ok": "OK",
+  "grade.partial": "parziale",
+  "grade.wrong": "fuori",
+  "grade.missing": "mancante",
+  "result.allOk": "Tutte le misure nei limiti.",
+  "result.someWrong": "Alcune misure non rientrano nella tolleranza.",
+  "result.score": "Punteggio automatico: {score} / {max}",
+  "result.errors": "Errori: {n}",
+
+  // pagina docente
+  "teacher.title": "Pannello Docente",
+  "teacher.intro": "Imposta i canali e pubblica la simulazione. Apri #/studenti in un'altra scheda.",
+  "teacher.difficulty": "Difficoltà:",
+  "teacher.cursors": "Cursori studenti",
+  "teacher.autoMeasure": "Misure automatiche studenti",
+  "teacher.timeOnly": "Solo dominio del tempo",
+  "teacher.xy": "Esercizio XY",
+  "teacher.perStudent": "Esercizio personale per studente",
+  "teacher.seed": "Seme:",
+  "teacher.randomKeep": "Casuale (mantieni)",
+  "teacher.perStudentNote": "Esercizio personale attivo: ogni studente vede canali generati dal seme {seed} e dai propri dati; qui sotto vedi l'esercizio di riferimento del seme.",
+  "domain.time": "Tempo",
+  "domain.fft": "Frequenza (FFT)",
+  "channel.enabled": "Attivo",
+  "channel.waveform": "Forma d'onda",
+  "channel.amplitude": "Ampiezza (V picco)",
+  "channel.frequency": "Frequenza (Hz)",
+  "channel.phase": "Fase (rad)",
+  "channel.dc": "Offset DC (V)",
+  "channel.noise": "Rumore (V rms)",
+  "channel.color": "Colore traccia",
+  "arb.source": "Definita da",
+  "arb.source.harmonics": "Armoniche",
+  "arb.source.samples": "Campioni CSV",
+  "arb.amp": "Ampiezza rel.",
+  "arb.addHarmonic": "+ Armonica",
+  "arb.normalized": "La somma è normalizzata: \"Ampiezza\" del canale è il picco, \"Frequenza\" la fondamentale.",
+  "arb.csvInfo": "{file}: {n} campioni, periodo {period}, picco {peak}",
+  "arb.points": "{n} punti per periodo",
+  "arb.noCsv": "Nessun CSV importato.",
+  "arb.csvHelp": "Righe tempo (s); tensione (V) di un solo periodo, senza ripetere il primo punto. Ampiezza e frequenza vengono dal file.",
+  "arb.csvTooShort": "servono almeno 4 righe tempo;tensione",
+  "arb.csvNotIncreasing": "tempi non crescenti al campione {n}",
+  "circuit.label": "Circuito fra generatore e oscilloscopio",
+  "circuit.rLoad": "R carico (Ω)",
+  "circuit.cSmooth": "C livell. (µF)",
+  "circuit.out": "Uscita su",
+  "circuit.vd": "Vd diodo (V)",
+  "circuit.noNoise": "il rumore puro non passa dal circuito",
+  "circuit.help": "Per attenuazione e sfasamento mostra il generatore anche su un altro canale, senza circuito.",
+  "test.title": "Verifica a tempo",
+  "test.unlimited": "In corso (senza limite)",
+  "test.expired": "Tempo scaduto",
+  "test.remaining": "Tempo rimasto {time}",
+  "test.minutes": "Durata (min)",
+  "test.onTimeout": "Allo scadere",
+  "test.onTimeout.freeze": "Congela le risposte",
+  "test.onTimeout.submit": "Consegna automatica",
+  "test.lockScale": "Blocca controlli scala",
+  "test.lockMeasures": "Blocca inserimento misure",
+  "test.stop": "Termina e mostra esiti",
+  "test.start": "Avvia verifica",
+  "test.help": "Durante la verifica gli studenti non vedono gli esiti né le misure automatiche; la durata 0 non imposta scadenza.",
+  "model.title": "Oscilloscopio reale (difficoltà Avanzato)",
+  "model.active": " – attivo",
+  "model.bandwidth": "Banda (kHz)",
+  "model.memory": "Memoria (punti/schermo)",
+  "model.maxRate": "Campionamento max (kSa/s)",
+  "model.bits": "Bit ADC",
+  "model.help": "Con \"Avanzato\" la frequenza di campionamento è memoria / (10 · s/div), al massimo quella indicata (memoria fino a 4000 punti): con una base tempi troppo lenta compare l'aliasing. Il segnale, rumore compreso, passa da un filtro con la banda indicata e l'ADC quantizza sulla finestra verticale dello schermo.",
+  "rubric.title": "Criteri di valutazione",
+  "rubric.quantity": "Grandezza",
+  "rubric.tolerance": "Tolleranza",
+  "rubric.value": "Valore",
+  "rubric.weight": "Peso",
+  "rubric.required": "Obbligatoria",
+  "rubric.mode.abs": "Assoluta ({unit})",
+  "rubric.mode.rel": "Relativa (%)",
+  "rubric.mode.div": "In divisioni",
+  "rubric.partial": "Credito parziale",
+  "rubric.band": "Entro × tolleranza",
+  "rubric.credit": "Quota del peso",
+  "rubric.maxScore": "Voto massimo",
+  "rubric.minScore": "Voto minimo",
+  "rubric.penalty": "Penalità dati mancanti",
+  "rubric.reset": "Ripristina predefiniti",
+  "rubric.help": "Le tolleranze in divisioni usano la scala scelta dallo studente (V/div del canale, s/div per periodo e frequenza); quelle relative non scendono sotto un decimo di divisione. Le grandezze non obbligatorie lasciate vuote non contano. Voto = minimo + (massimo − minimo) · punti ottenuti / somma dei pesi, meno la penalità se mancano dati personali.",
+  "subs.title": "Consegne studenti",
+  "subs.round": "Turno {round} • {n} consegne",
+  "subs.newRound": "Nuovo turno",
+  "subs.exportCsv": "Esporta CSV",
+  "subs.clear": "Svuota",
+  "subs.confirmClear": "Eliminare tutte le consegne?",
+  "subs.none": "Nessuna consegna ricevuta.",
+  "subs.student": "Studente",
+  "subs.roundCol": "Turno",
+  "subs.sent": "Inviato",
+  "subs.score": "Punteggio",
+  "subs.incomplete": "Dati personali incompleti",
+  "subs.errors": "{n} err.",
+  "subs.allowed": "Reinvio consentito",
+  "subs.allow": "Consenti reinvio",
+  "subs.csv.errors": "Errori",
+  "subs.csv.result": "Esito {ch}",
+  "subs.csv.nErrors": "{n} errori",
+  "lib.title": "Libreria esercizi",
+  "lib.name": "Nome scenario",
+  "lib.namePlaceholder": "es. Verifica 4A – quadra",
+  "lib.description": "Descrizione",
+  "lib.save": "Salva impostazioni attuali",
+  "lib.import": "Importa JSON",
+  "lib.exportAll": "Esporta tutti",
+  "lib.saved": "Scenario \"{name}\" salvato.",
+  "lib.loaded": "Caricato \"{name}\".",
+  "lib.imported": "{n} scenari importati da {file}.",
+  "lib.starter": "predefinito",
+  "lib.load": "Carica",
+  "lib.export": "Esporta",
+  "lib.delete": "Elimina",
+  "lib.confirmDelete": "Eliminare \"{name}\"?",
+  "lib.v1Name": "Stato importato (v1)",
+  "lib.err.unnamed": "scenario senza nome",
+  "lib.err.invalid": "scenario non valido",
+  "lib.err.noName": "manca il nome dello scenario",
+  "lib.err.noSettings": "mancano le impostazioni",
+  "lib.err.difficulty": "difficoltà \"{value}\" sconosciuta",
+  "lib.err.timeBase": "base dei tempi non valida",
+  "lib.err.channelCount": "servono da 1 a 3 canali",
+  "lib.err.channelId": "id canale non valido o ripetuto",
+  "lib.err.waveform": "forma d'onda \"{value}\" sconosciuta",
+  "lib.err.value": "{field} non valido",
+  "lib.err.bool": "{field} deve essere true/false",
+  "lib.err.color": "colore non valido",
+  "lib.err.circuit": "circuito non valido",
+  "lib.err.arb": "forma arbitraria non valida",
+  "lib.err.xy": "esercizio XY non valido",
+  "lib.err.scopeModel": "modello dell'oscilloscopio non valido",
+  "lib.err.exercise": "seme dell'esercizio non valido",
+  "lib.err.test": "impostazioni della verifica non valide",
+  "lib.err.testMinutes": "durata della verifica non valida",
+  "lib.err.onTimeout": "azione allo scadere \"{value}\" sconosciuta",
+  "lib.err.rubric": "criteri di valutazione non validi",
+  "lib.err.partial": "credito parziale non valido",
+  "lib.err.quantity": "grandezza \"{value}\" sconosciuta nei criteri",
+  "lib.err.scoreRange": "voto minimo {min} maggiore del massimo {max}",
+  "lib.err.rule": "criterio \"{value}\" non valido",
+  "lib.err.json": "il file non è JSON valido",
+  "lib.err.version": "versione {version} non supportata (attesa {expected})",
+  "lib.err.noList": "manca l'elenco degli scenari",
+  "lib.err.format": "formato non riconosciuto",
+  "scenario.starter-rete-50hz.name": "Tensione di rete raddrizzata (50 Hz)",
+  "scenario.starter-rete-50hz.description": "Secondario 12 V efficaci raddrizzato a semionda (CH1) confrontato con la sinusoide (CH2): misurare Vmax, periodo e frequenza.",
+  "scenario.starter-am.name": "Profondità di modulazione AM",
+  "scenario.starter-am.description": "Portante a 1 kHz modulata a 100 Hz: ricavare la profondità di modulazione dall'inviluppo (Vmax e Vmin).",
+  "scenario.starter-lissajous.name": "Sfasamento con le figure di Lissajous",
+  "scenario.starter-lissajous.description": "Due sinusoidi a 500 Hz sfasate: misurare lo sfasamento in modalità XY.",
+  "scenario.starter-rc.name": "Filtro RC passa-basso: attenuazione e sfasamento",
+  "scenario.starter-rc.description": "CH1 generatore a 1 kHz, CH2 uscita di un RC con fc ≈ 1 kHz: misurare l'attenuazione e lo sfasamento (anche in XY).",
+  "scenario.starter-forme.name": "Quadra, triangolare e dente di sega",
+  "scenario.starter-forme.description": "Tre forme non armoniche a frequenze diverse con un po' di rumore: misure complete su tutti i canali.",
+
+  // pagina studenti
+  "student.title": "Pagina Studenti",
+  "student.testRunning": "Verifica in corso",
+  "student.expired": "Tempo scaduto: le risposte sono bloccate.",
+  "student.needIdentity": "Esercizio personale: inserisci nome, cognome e classe per ricevere i tuoi segnali.",
+  "student.details": "Dati Studente",
+  "student.name": "Nome",
+  "student.surname": "Cognome",
+  "student.class": "Classe",
+  "student.date": "Data",
+  "student.scale": "Controlli Scala",
+  "student.scaleLocked": "Scala bloccata dal docente durante la verifica.",
+  "student.invert": "Inverti",
+  "student.position": "Pos. (div)",
+  "student.coupling": "Accopp.",
+  "student.spectrum": "Spettro",
+  "student.timeOnly": "Il docente ha bloccato la vista nel dominio del tempo.",
+  "student.domain": "Dominio",
+  "student.displayMath": "Display e MATH",
+  "student.mode": "Modo",
+  "student.mathTrace": "Traccia MATH",
+  "student.op": "Op.",
+  "student.unitsPerDiv": "Unità/div",
+  "trigger.source": "Sorgente",
+  "trigger.level": "Livello (V)",
+  "trigger.slope": "Pendenza",
+  "trigger.rising": "↑ Salita",
+  "trigger.falling": "↓ Discesa",
+  "student.acquisition": "Acquisizione",
+  "student.persistence": "Persistenza",
+  "persistence.off": "Off",
+  "persistence.short": "Breve",
+  "persistence.long": "Lunga",
+  "persistence.inf": "Infinita",
+  "student.interp": "Interpolazione",
+  "interp.linear": "Lineare",
+  "interp.dots": "Punti",
+  "interp.sinc": "sin(x)/x",
+  "student.cursors": "Cursori",
+  "student.cursorsOff": "Cursori disabilitati dal docente: conta le divisioni sulla griglia.",
+  "cursors.off": "Off",
+  "cursors.h": "Orizzontali (ΔV)",
+  "cursors.v": "Verticali (Δt)",
+  "cursors.both": "Entrambi",
+  "student.cursorScale": "Scala V di",
+  "student.cursorHelp": "Trascina le linee tratteggiate sullo schermo.",
+  "student.measuresLocked": "Inserimento misure bloccato dal docente.",
+  "measure.title": "Misure CH{id}",
+  "measure.on": "attivo",
+  "measure.off": "spento",
+  "student.xyTitle": "Esercizio XY – sfasamento di CH{y} rispetto a CH{x}",
+  "student.xyHelp": "Passa in modalità XY e ricava lo sfasamento dalla figura di Lissajous (sin φ = Y₀ / Yₘₐₓ).",
+  "student.phase": "Sfasamento (°)",
+  "student.check": "Verifica con tolleranza",
+  "student.checkLater": "Gli esiti saranno visibili quando il docente chiude la verifica.",
+  "student.submit": "Consegna al docente",
+  "student.submitNeedIdentity": "Inserisci nome, cognome e classe per consegnare.",
+  "student.submittedAt": "Consegnato alle {time}",
+  "student.ackOk": "ricevuto dal docente",
+  "student.sending": "Invio in corso…",
+  "student.sendError.offline": "Invio non riuscito: nessuna connessione con il docente. Riprova.",
+  "student.sendError.timeout": "Il docente non ha confermato la ricezione. Controlla la connessione e riprova.",
+  "student.sendError.rejected": "Consegna rifiutata: il docente ne ha già una per questo turno. Per un nuovo invio serve il suo permesso.",
+  "student.resubmitNeedsPermission": "Per un nuovo invio serve il permesso del docente.",
+  "student.resubmitAllowed": "Il docente ha consentito un nuovo invio.",
+  "student.submitOnce": "Puoi consegnare una sola volta.",
+  "student.report": "Relazione {kind}",
+
+  // relazione di laboratorio
+  "report.title": "Relazione di laboratorio – Oscilloscopio",
+  "report.student": "Studente: {name}",
+  "report.class": "Classe: {class}",
+  "report.date": "Data: {date}",
+  "report.settings": "Impostazioni",
+  "report.timeBase": "Base tempi: {sPerDiv}/div • Offset t: {offset}",
+  "report.xyMode": "modalità XY",
+  "report.channel": "{vPerDiv}/div • accoppiamento {coupling} • posizione {position} div",
+  "report.inverted": "invertito",
+  "report.math": "MATH: {expr} • {vPerDiv} unità/div",
+  "report.trigger": "Trigger: CH{source}, livello {level} V, {slope}, {mode}",
+  "report.rising": "salita",
+  "report.falling": "discesa",
+  "report.measures": "Misure",
+  "report.xyPhase": "Sfasamento CH{y} rispetto a CH{x}: {value}",
+  "report.result": "Esito della verifica",
+  "report.notChecked": "Verifica non ancora eseguita.",
+  "report.allOk": "tutte le misure nei limiti",
+  "report.someWrong": "alcune misure fuori tolleranza",
+  "report.footer": "Generata il {date} con il simulatore di oscilloscopio",
+};
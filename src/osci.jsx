@@ -1,21 +1,110 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { ARB_MAX_HARMONICS, ARB_MAX_SAMPLES, arbTable, arbValue, defaultArb, hashSeed, mulberry32, noiseTerm, parseWaveCsv, samplesFromCsv, signalMean, waveformSample } from "./engine/waveform";
+import { circuitActive, CIRCUITS, circuitTable, defaultCircuit, lowPass } from "./engine/circuit";
+import { measureTrace } from "./engine/measures";
+import { defaultRubric, gradeMeasures, RUBRIC_QUANTITIES, rubricOf, studentKey } from "./engine/grading";
+import { nextState, reduceSync } from "./engine/sync";
+import { DEFAULT_LANG, isLang, LANGUAGES, parseNumber, translate } from "./i18n";
 
 /**
  * Oscilloscopio Didattico – Docente & Studenti (2 Pagine Sincronizzate)
- * File unico React (TS-friendly). Nessun backend: sync via BroadcastChannel + localStorage.
+ * Interfaccia React (TS-friendly); il motore di calcolo è in src/engine/, i testi in italiano e inglese in src/i18n/. Sync via BroadcastChannel + localStorage (stesso browser)
+ * oppure tramite il relay WebSocket in rete locale (server/relay.js, `npm run relay`).
  *
  * Pagine:
  *   - #/docente
  *   - #/studenti
  */
 
-// ==============================
-// SYNC STATE (BroadcastChannel)
-// ==============================
+// ===========================================
+// SYNC STATE (BroadcastChannel o relay WebSocket)
+// ===========================================
 const CHANNEL_KEY = "oscSimState:v1";
-const VIEW_KEY = "oscSimView:v1";
+const VIEW_KEY = "oscSimView:v2";
+const LEGACY_VIEW_KEY = "oscSimView:v1";
+const SYNC_KEY = "oscSimSync:v1";
+const SUBMISSIONS_KEY = "oscSimSubmissions:v1";
+const LIBRARY_KEY = "oscSimLibrary:v1";
+const RELAY_PORT = 8787;
+const SUBMIT_ACK_TIMEOUT = 5000; // ms di attesa della conferma del docente a una consegna
 
-function useBroadcastState(defaultState: any) {
+// Un trasporto espone send(msg) (false se il messaggio non è partito) e close(); i messaggi in arrivo vanno a onMessage,
+// lo stato della connessione ("local" | "connecting" | "online" | "reconnecting" | "denied") a onStatus.
+type SyncStatus = "local" | "connecting" | "online" | "reconnecting" | "denied";
+
+function createBroadcastTransport(onMessage: (msg: any) => void, onStatus: (s: SyncStatus) => void) {
+  const bc = new BroadcastChannel("osc-sim");
+  bc.onmessage = (ev) => onMessage(ev.data);
+  onStatus("local");
+  return {
+    send: (msg: any) => { try { bc.postMessage(msg); return true; } catch { return false; } },
+    close: () => bc.close(),
+  };
+}
+
+/**
+ * Relay in rete locale: entra nella stanza `room` e si riconnette da solo (attesa crescente fino a 10 s).
+ * Il docente entra con il codice docente `key`; se il relay lo rifiuta (DENIED) non riprova.
+ */
+function createWebSocketTransport({ url, room, role, key }: any, onMessage: (msg: any) => void, onStatus: (s: SyncStatus) => void) {
+  let ws: WebSocket | null = null, closed = false, retry = 0, timer: any = 0;
+  const schedule = () => {
+    if (closed) return;
+    onStatus("reconnecting");
+    timer = setTimeout(connect, Math.min(10000, 1000 * 2 ** retry++));
+  };
+  function connect() {
+    onStatus(retry ? "reconnecting" : "connecting");
+    try { ws = new WebSocket(url); } catch { schedule(); return; }
+    ws.onopen = () => { retry = 0; ws!.send(JSON.stringify({ type: "JOIN", room, role, ...(role === "teacher" ? { key } : {}) })); };
+    ws.onmessage = (ev) => {
+      let msg: any; try { msg = JSON.parse(ev.data); } catch { return; }
+      if (msg?.type === "JOINED") onStatus("online");
+      if (msg?.type === "DENIED") { closed = true; onStatus("denied"); try { ws?.close(); } catch {} return; }
+      onMessage(msg);
+    };
+    ws.onclose = () => { ws = null; schedule(); };
+    ws.onerror = () => { try { ws?.close(); } catch {} };
+  }
+  connect();
+  return {
+    send: (msg: any) => {
+      if (ws?.readyState !== WebSocket.OPEN) return false;
+      ws.send(JSON.stringify(msg));
+      return true;
+    },
+    close: () => { closed = true; clearTimeout(timer); try { ws?.close(); } catch {} },
+  };
+}
+
+function createTransport(sync: any, role: string, onMessage: (msg: any) => void, onStatus: (s: SyncStatus) => void) {
+  if (sync?.mode === "ws" && sync.url && sync.room) return createWebSocketTransport({ url: sync.url, room: sync.room, role, key: sync.key }, onMessage, onStatus);
+  return createBroadcastTransport(onMessage, onStatus);
+}
+
+const defaultRelayUrl = () => `ws://${window.location.hostname || "localhost"}:${RELAY_PORT}`;
+const newTeacherKey = () => Array.from(crypto.getRandomValues(new Uint8Array(6)), (b) => b.toString(16).padStart(2, "0")).join("").toUpperCase();
+
+/**
+ * Configurazione di sync: { mode, url, room, key } (key = codice docente, solo sul browser del docente).
+ * Un link "#/studenti?room=CODICE&relay=ws://..." la imposta direttamente; il codice docente salvato per la stessa stanza resta.
+ */
+function useSyncConfig() {
+  const [sync, setSync] = useState(() => {
+    let saved: any = null;
+    try { const raw = localStorage.getItem(SYNC_KEY); if (raw) saved = JSON.parse(raw); } catch {}
+    const q = new URLSearchParams(window.location.hash.split("?")[1] || "");
+    if (q.get("room")) {
+      const room = q.get("room")!.toUpperCase();
+      return { mode: "ws", url: q.get("relay") || defaultRelayUrl(), room, key: saved?.room === room ? saved.key : undefined };
+    }
+    return saved || { mode: "local", url: defaultRelayUrl(), room: "" };
+  });
+  useEffect(() => { try { localStorage.setItem(SYNC_KEY, JSON.stringify(sync)); } catch {} }, [sync]);
+  return [sync, setSync] as const;
+}
+
+function useBroadcastState(defaultState: any, sync?: any, role: "teacher" | "student" = "teacher") {
   const [state, setState] = useState(() => {
     try {
       const raw = localStorage.getItem(CHANNEL_KEY);
@@ -24,37 +113,70 @@ function useBroadcastState(defaultState: any) {
       return defaultState;
     }
   });
+  const [status, setStatus] = useState<SyncStatus>("local");
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  // bus per gli altri messaggi (es. consegne): bus.on(tipo, fn) restituisce la funzione per disiscriversi
+  const transportRef = useRef<any>(null);
+  const listenersRef = useRef(new Set<(msg: any) => void>());
+  const busRef = useRef<any>(null);
+  if (!busRef.current) busRef.current = {
+    send: (msg: any): boolean => !!transportRef.current?.send(msg),
+    on: (type: string, fn: (payload: any, msg: any) => void) => {
+      const l = (msg: any) => { if (msg?.type === type) fn(msg.payload, msg); };
+      listenersRef.current.add(l);
+      return () => { listenersRef.current.delete(l); };
+    },
+  };
 
-  const bcRef = useRef<BroadcastChannel | null>(null);
   useEffect(() => {
-    const bc = new BroadcastChannel("osc-sim");
-    bcRef.current = bc;
-    bc.onmessage = (ev) => {
-      if (ev?.data?.type === "SET_STATE") setState(ev.data.payload);
-    };
-    return () => bc.close();
-  }, []);
+    const t = createTransport(sync, role, (msg: any) => {
+      listenersRef.current.forEach((l) => l(msg));
+      const { state: next, reply } = reduceSync(stateRef.current, msg, role);
+      if (next !== stateRef.current) {
+        stateRef.current = next; setState(next);
+        try { localStorage.setItem(CHANNEL_KEY, JSON.stringify(next)); } catch {}
+      }
+      if (reply) t.send(reply);
+    }, setStatus);
+    transportRef.current = t;
+    return () => t.close();
+  }, [sync?.mode, sync?.url, sync?.room, sync?.key, role]);
 
   const publish = (next: any) => {
-    const nextState = typeof next === "function" ? next(state) : next;
-    setState(nextState);
-    try { localStorage.setItem(CHANNEL_KEY, JSON.stringify(nextState)); } catch {}
-    try { bcRef.current?.postMessage({ type: "SET_STATE", payload: nextState }); } catch {}
+    const value = nextState(stateRef.current, next);
+    setState(value);
+    try { localStorage.setItem(CHANNEL_KEY, JSON.stringify(value)); } catch {}
+    transportRef.current?.send({ type: "SET_STATE", payload: value, from: role });
   };
 
-  return [state, publish] as const;
+  return [state, publish, status, busRef.current] as const;
 }
 
 // ======================
 // MODELLO STATO CONDIVISO
 // ======================
 const defaultSharedState = {
-  locked: false,
+  locked: false, // verifica in corso: esiti nascosti agli studenti finché il docente non sblocca
+  // opzioni della verifica: durata (0 = senza limite), scadenza (epoch ms), cosa bloccare e cosa fare allo scadere
+  test: { minutes: 20, endsAt: null as number | null, lockScale: true, lockMeasures: false, onTimeout: "freeze" as "freeze" | "submit" },
   difficulty: "base" as "base" | "intermedio" | "avanzato",
   timeBase: 0.001, // s/div predefinito docente
   sampleRate: 20000,
   durationDivs: 10,
   verticalDivs: 10,
+  cursors: true, // cursori disponibili agli studenti
+  autoMeasure: false, // pannello misure automatiche visibile agli studenti (off durante le verifiche)
+  xyExercise: { enabled: false, x: 1, y: 2 }, // esercizio XY: gli studenti misurano lo sfasamento CHy − CHx
+  timeOnly: false, // blocca gli studenti nel dominio del tempo (niente FFT)
+  // modello dell'oscilloscopio reale, attivo solo in difficoltà "avanzato": banda analogica (Hz),
+  // memoria (campioni per schermata), frequenza di campionamento massima (S/s) e bit dell'ADC
+  scopeModel: { bandwidth: 20000, memory: 500, maxRate: 1e6, bits: 8 },
+  rubric: null as any, // criteri di valutazione (null = defaultRubric)
+  exercise: { perStudent: false, seed: 1 }, // canali generati dal seme; perStudent: uno diverso per studente (seme + nome/classe)
+  submitRound: 1, // turno di consegna: ogni studente consegna una volta per turno
+  resubmitAllowed: [] as string[], // studenti (studentKey) autorizzati a un nuovo invio nel turno
   channels: [
     { id: 1, enabled: true, waveform: "sine", amplitude: 2, frequency: 1000, phase: 0, dc: 0, color: "#22c55e", noise: 0 },
     { id: 2, enabled: false, waveform: "square", amplitude: 1, frequency: 500, phase: 0, dc: 0, color: "#3b82f6", noise: 0 },
@@ -65,126 +187,868 @@ const defaultSharedState = {
 // ==================
 // STATO LATO STUDENTE
 // ==================
+// Impostazioni verticali per canale: V/div, posizione della massa (div dal centro, + verso l'alto),
+// accoppiamento d'ingresso e inversione.
+const defaultChannelView = { vPerDiv: 1, position: 0, coupling: "dc" as "dc" | "ac" | "gnd", invert: false };
+
+/** Impostazioni verticali del canale `id`, con i default per quelle mancanti (es. vista del docente). */
+function channelView(view: any, id: number) {
+  if (id === MATH_ID) { const m = { ...defaultMath, ...(view.math || {}) }; return { ...defaultChannelView, vPerDiv: m.vPerDiv, position: m.position }; }
+  return { ...defaultChannelView, ...(view.channels?.[id] || {}) };
+}
+
+// Canale MATH: combinazione di due canali con scala propria. Nei buffer e nelle misure ha id 4.
+const MATH_ID = 4, MATH_COLOR = "#e879f9";
+const MATH_OPS: [string, string][] = [["add", "A + B"], ["sub", "A − B"], ["mul", "A × B"], ["div", "A ÷ B"]];
+const defaultMath = { enabled: false, op: "add", a: 1, b: 2, vPerDiv: 1, position: 0 };
+// Modalità XY: canale `x` in orizzontale (scala e posizione del canale), canale `y` in verticale.
+const defaultXY = { x: 1, y: 2 };
+
+function defaultStudentView() {
+  return {
+    sPerDiv: 0.001,
+    tOffset: 0,
+    channels: { 1: { ...defaultChannelView }, 2: { ...defaultChannelView }, 3: { ...defaultChannelView } },
+    name: "",
+    surname: "",
+    class: "",
+    date: "",
+    lang: DEFAULT_LANG as string, // lingua dell'interfaccia, scelta da ogni studente
+    trigger: { ...defaultTrigger },
+    persistence: "off",
+    interp: "linear" as "linear" | "dots" | "sinc", // interpolazione della traccia
+    cursors: { ...defaultCursors },
+    display: "yt" as "yt" | "xy",
+    domain: "time" as "time" | "fft",
+    fft: { ...defaultFft },
+    xy: { ...defaultXY },
+    math: { ...defaultMath },
+    measures: {
+      1: { vmax: "", vmin: "", vpp: "", period: "", freq: "" },
+      2: { vmax: "", vmin: "", vpp: "", period: "", freq: "" },
+      3: { vmax: "", vmin: "", vpp: "", period: "", freq: "" },
+    },
+  };
+}
+
+/**
+ * Porta una vista salvata al formato corrente. Il formato v1 aveva un unico `vPerDiv`
+ * e un `vOffset` in volt (tensione al centro schermo) comuni a tutte le tracce.
+ */
+function migrateView(saved: any) {
+  const base = defaultStudentView();
+  if (!saved || typeof saved !== "object") return base;
+  const { vPerDiv, vOffset, ...rest } = saved;
+  const view: any = { ...base, ...rest };
+  let legacy: any = {};
+  if (!saved.channels || typeof saved.channels !== "object") {
+    const vd = vPerDiv > 0 ? vPerDiv : 1;
+    legacy = { vPerDiv: vd, position: isFinite(vOffset) && vOffset ? -vOffset / vd : 0 };
+  }
+  view.channels = {};
+  for (const id of [1, 2, 3]) view.channels[id] = { ...defaultChannelView, ...legacy, ...(saved.channels?.[id] || {}) };
+  if (!isLang(view.lang)) view.lang = DEFAULT_LANG;
+  return view;
+}
+
 function useStudentView() {
   const [view, setView] = useState(() => {
-    try { const raw = localStorage.getItem(VIEW_KEY); if (raw) return JSON.parse(raw); } catch {}
-    return {
-      vPerDiv: 1,
-      sPerDiv: 0.001,
-      vOffset: 0,
-      tOffset: 0,
-      name: "",
-      surname: "",
-      class: "",
-      date: "",
-      measures: {
-        1: { vmax: "", vmin: "", vpp: "", period: "", freq: "" },
-        2: { vmax: "", vmin: "", vpp: "", period: "", freq: "" },
-        3: { vmax: "", vmin: "", vpp: "", period: "", freq: "" },
-      },
-    };
+    try {
+      const raw = localStorage.getItem(VIEW_KEY) ?? localStorage.getItem(LEGACY_VIEW_KEY);
+      if (raw) return migrateView(JSON.parse(raw));
+    } catch {}
+    return defaultStudentView();
   });
   useEffect(() => { try { localStorage.setItem(VIEW_KEY, JSON.stringify(view)); } catch {} }, [view]);
   return [view, setView] as const;
 }
 
+// ======
+// LINGUA
+// ======
+// La lingua è quella della vista studente (`view.lang`) e arriva ai componenti tramite contesto.
+const LangContext = createContext<string>(DEFAULT_LANG);
+
+/** Traduttore per la lingua corrente: t("chiave", { variabili }); t.lang è il codice della lingua. */
+function useT() {
+  const lang = useContext(LangContext);
+  return useMemo(() => Object.assign((key: string, vars?: Record<string, any>) => translate(lang, key, vars), { lang }), [lang]);
+}
+
+// =================
+// ESERCIZI CON SEME
+// =================
+// Stesso seme ⇒ stessi canali. In modalità per studente il seme si combina con nome, cognome e classe,
+// così il docente ricalcola i valori attesi di ogni consegna partendo solo dal seme.
+const EXERCISE_FREQS = [50, 100, 200, 500, 1000, 2000, 5000];
+const EXERCISE_FORMS = ["sine", "square", "triangle", "saw", "rectified", "am", "fm", "sum2"];
+
+/** Canali casuali (id e colori presi da `template`) per il livello dato; almeno un canale resta acceso. */
+function generateChannels(template: any[], level: string, rng: () => number) {
+  const pick = (list: any[]) => list[Math.floor(rng() * list.length)];
+  const channels = template.map((ch: any) => ({
+    ...ch,
+    enabled: rng() > 0.2,
+    waveform: pick(EXERCISE_FORMS),
+    amplitude: +(0.5 + rng() * 4).toFixed(2),
+    frequency: pick(EXERCISE_FREQS),
+    phase: +(rng() * Math.PI).toFixed(2),
+    dc: +((-1 + rng() * 2)).toFixed(2),
+    noise: level === "avanzato" ? +(rng() * 0.2).toFixed(2) : level === "intermedio" ? +(rng() * 0.1).toFixed(2) : +(rng() * 0.03).toFixed(2),
+  }));
+  if (channels.length && !channels.some((ch: any) => ch.enabled)) channels[0].enabled = true;
+  return channels;
+}
+
+/**
+ * Stato condiviso visto dallo studente `data` ({ name, surname, class }): in modalità per studente ha i suoi canali.
+ * `data.seed` (il seme con cui lo studente ha lavorato, allegato alla consegna) prevale su quello pubblicato ora.
+ */
+function exerciseShared(shared: any, data: any) {
+  const ex = { ...defaultSharedState.exercise, ...(shared.exercise || {}) };
+  if (!ex.perStudent) return shared;
+  const seed = Number.isInteger(data.seed) ? data.seed : ex.seed;
+  return { ...shared, channels: generateChannels(shared.channels, shared.difficulty, mulberry32(hashSeed(seed, studentKey(data)))) };
+}
+
+// ===========
+// VALUTAZIONE
+// ===========
+// Rubrica e punteggio sono in src/engine/grading.ts; qui restano la formattazione e la scala della vista.
+const fmtQuantity =(v: number, unit: string) => unit === "°" ? `${+v.toFixed(1)}°` : fmtSI(v, unit);
+
+/** Scala con cui lo studente ha misurato: serve per le tolleranze in divisioni. */
+function scaleOf(view: any) {
+  const vPerDiv: any = {};
+  for (const id of [1, 2, 3, MATH_ID]) vPerDiv[id] = channelView(view, id).vPerDiv;
+  return { sPerDiv: view.sPerDiv, vPerDiv };
+}
+
 // ===============
-// WAVEFORM ENGINE
+// VERIFICA A TEMPO
 // ===============
-function randn() {
-  let u = 0, v = 0; while (u === 0) u = Math.random(); while (v === 0) v = Math.random();
-  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
-}
-
-function waveformSample(type: string, t: number, p: any) {
-  const { amplitude, frequency, phase, dc, difficulty, noise = 0 } = p;
-  const w = 2 * Math.PI * frequency;
-  const baseSine = Math.sin(w * t + phase);
-  let y = 0;
-  switch (type) {
-    case "sine": y = amplitude * baseSine; break;
-    case "square": y = amplitude * (Math.sin(w * t + phase) >= 0 ? 1 : -1); break;
-    case "triangle": { const frac = ((t * frequency + phase / (2 * Math.PI)) % 1 + 1) % 1; y = amplitude * (4 * Math.abs(frac - 0.5) - 1); break; }
-    case "saw": { const frac = ((t * frequency + phase / (2 * Math.PI)) % 1 + 1) % 1; y = amplitude * (2 * frac - 1); break; }
-    case "rectified": y = amplitude * Math.max(0, baseSine); break;
-    case "am": { const m = 0.5 * (1 + Math.sin(2 * Math.PI * (frequency / 10) * t)); y = (amplitude * m) * Math.sin(w * t + phase); break; }
-    case "fm": { const dev = 0.2 * frequency; const inst = 2 * Math.PI * (frequency * t + (dev / (2 * Math.PI)) * (1 - Math.cos(2 * Math.PI * (frequency / 8) * t))) + phase; y = amplitude * Math.sin(inst); break; }
-    case "noise": y = amplitude * (Math.random() * 2 - 1); break;
-    case "sum2": {
-      // Somma armonica normalizzata (1° + 2° armonica) con fase coerente
-      // y_raw = sin(ωt+φ) + 0.5·sin(2ωt+2φ)
-      // picco teorico = 1.2990381057 (a x=π/3 quando φ=0) ⇒ normalizzo per avere ampiezza unitaria
-      const raw = Math.sin(w * t + phase) + 0.5 * Math.sin(2 * w * t + 2 * phase);
-      const NORM = 1.299038105676658; // 3*sqrt(3)/4 ≈ 1.2990381
-      y = amplitude * (raw / NORM);
-      break;
+// La scadenza è un istante assoluto deciso dal docente: gli studenti la confrontano con il proprio orologio
+// (in aula i PC sono sincronizzati via rete, qualche secondo di scarto è accettabile).
+function testStatus(shared: any, now: number) {
+  const test = { ...defaultSharedState.test, ...(shared.test || {}) };
+  const active = !!shared.locked;
+  const remaining = active && test.endsAt ? Math.max(0, test.endsAt - now) : null;
+  const expired = remaining === 0;
+  return {
+    active, remaining, expired, onTimeout: test.onTimeout,
+    scaleLocked: active && test.lockScale,
+    measuresLocked: active && (test.lockMeasures || expired),
+  };
+}
+
+const fmtCountdown = (ms: number) => {
+  const s = Math.ceil(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+/** Orologio che si aggiorna ogni secondo, solo quando serve (es. durante una verifica). */
+function useNow(enabled: boolean) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!enabled) return;
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [enabled]);
+  return now;
+}
+
+// =======
+// TRIGGER
+// =======
+const defaultTrigger = { source: 1, level: 0, slope: "rising" as "rising" | "falling", mode: "auto" as "auto" | "normal" | "single" };
+
+/**
+ * Primo attraversamento di `level` con la pendenza richiesta tra gli indici [from, to).
+ * Restituisce l'indice frazionario (interpolato linearmente) oppure -1.
+ */
+function findTrigger(y: ArrayLike<number>, from: number, to: number, level: number, slope: "rising" | "falling") {
+  const end = Math.min(to, y.length);
+  for (let i = Math.max(1, from); i < end; i++) {
+    const a = y[i - 1], b = y[i];
+    const hit = slope === "falling" ? (a > level && b <= level) : (a < level && b >= level);
+    if (hit) return i - 1 + (a - level) / (a - b);
+  }
+  return -1;
+}
+
+/** Campiona un canale su N punti a partire da t0 con passo dt (rumore incluso), in `out` se fornito. */
+function sampleChannel(ch: any, difficulty: string, t0: number, dt: number, N: number, out?: Float64Array, rng?: () => number) {
+  const p = { ...ch, difficulty, rng: rng || Math.random };
+  const y = out && out.length >= N ? out : new Float64Array(N);
+  // con la banda passante del modello anche il rumore è filtrato: prima il rumore da solo, poi la tabella del circuito
+  const bw = ch.bandwidth > 0 ? ch.bandwidth : 0;
+  if (circuitActive(ch)) {
+    const c = circuitTable(ch);
+    for (let i = 0; i < N; i++) y[i] = noiseTerm(p);
+    if (bw) lowPass(y, N, bw, dt, 0);
+    for (let i = 0; i < N; i++) y[i] += arbValue(c.tab, ((((t0 + i * dt) / c.T) % 1) + 1) % 1);
+    return y;
+  }
+  // rumore bianco o segnale costante (f = 0): si filtra tutto il campione, partendo dal valore senza rumore
+  for (let i = 0; i < N; i++) y[i] = waveformSample(ch.waveform, t0 + i * dt, p);
+  if (bw) lowPass(y, N, bw, dt, ch.waveform === "noise" ? ch.dc || 0 : waveformSample(ch.waveform, t0, { ...ch, noise: 0, difficulty: "base" }));
+  return y;
+}
+
+// ============
+// ACQUISIZIONE
+// ============
+// Una "sweep" = un record di campioni per canale a partire dal tempo di simulazione t0.
+// I buffer sono preallocati e riusati fra un frame e l'altro (niente array nuovi per frame).
+
+/** Fattore di dissolvenza per frame della persistenza a fosfori. */
+const PERSISTENCE_FADE: Record<string, number> = { off: 1, short: 0.25, long: 0.08, inf: 0 };
+
+/** Valor medio del segnale all'ingresso: dopo un circuito è la media dell'uscita, non quella del generatore. */
+function channelMean(ch: any) {
+  return circuitActive(ch) ? circuitTable(ch).mean : signalMean(ch);
+}
+
+/**
+ * Campiona l'ingresso del canale dopo l'accoppiamento: AC toglie la media del segnale (su un periodo intero,
+ * così la traccia non salta al variare della finestra acquisita), GND dà 0 V.
+ */
+function sampleInput(ch: any, view: any, difficulty: string, t0: number, dt: number, N: number, out?: Float64Array, rng?: () => number) {
+  const { coupling } = channelView(view, ch.id);
+  if (coupling === "gnd") { const y = out && out.length >= N ? out : new Float64Array(N); y.fill(0, 0, N); return y; }
+  const y = sampleChannel(ch, difficulty, t0, dt, N, out, rng);
+  if (coupling === "ac") {
+    const m = channelMean(ch);
+    for (let i = 0; i < N; i++) y[i] -= m;
+  }
+  return y;
+}
+
+/** Operazione del canale MATH campione per campione. */
+function mathOp(op: string, a: number, b: number) {
+  switch (op) {
+    case "sub": return a - b;
+    case "mul": return a * b;
+    case "div": return a / (Math.abs(b) < 1e-9 ? (b < 0 ? -1e-9 : 1e-9) : b); // fuori scala invece di NaN
+    default: return a + b;
+  }
+}
+
+/** Modello dell'oscilloscopio reale se attivo (difficoltà "avanzato"), altrimenti null. */
+function scopeModel(shared: any) {
+  return shared.difficulty === "avanzato" ? { ...defaultSharedState.scopeModel, ...(shared.scopeModel || {}) } : null;
+}
+
+// punti al massimo per schermata: circa 4 per pixel dello schermo (980 px). Di più non si vede nulla in più e
+// ogni frame ricampiona l'intero record (il doppio col trigger), che alle basi tempi lente diventerebbe lentissimo
+const SWEEP_MAX_POINTS = 4000;
+
+/**
+ * Punti per schermata e passo di campionamento. Ideale: almeno 2000 punti a shared.sampleRate, fino a SWEEP_MAX_POINTS.
+ * Col modello reale la frequenza di campionamento dipende da s/div (memoria / durata, fino a maxRate):
+ * con una base tempi troppo lenta il segnale va in aliasing (in entrambi i casi, oltre SWEEP_MAX_POINTS per schermata).
+ */
+function recordLength(shared: any, view: any) {
+  const totalTime = view.sPerDiv * shared.durationDivs, model = scopeModel(shared);
+  const N = model ? Math.max(16, Math.min(Math.floor(model.memory), Math.floor(model.maxRate * totalTime) + 1, SWEEP_MAX_POINTS))
+    : Math.max(2000, Math.min(SWEEP_MAX_POINTS, Math.floor(shared.sampleRate * totalTime)));
+  return { N, dt: totalTime / (N - 1) };
+}
+
+/** ADC a `bits` bit sulla finestra verticale dello schermo (con un filo di margine): arrotonda e satura. */
+function quantize(y: Float64Array, n: number, cv: any, divY: number, bits: number) {
+  const lsb = (divY * cv.vPerDiv) / 2 ** bits, off = cv.position * cv.vPerDiv * (cv.invert ? -1 : 1);
+  const top = (divY / 2) * 1.02 * cv.vPerDiv;
+  for (let i = 0; i < n; i++) {
+    const v = Math.min(top, Math.max(-top, y[i] + off));
+    y[i] = Math.round(v / lsb) * lsb - off;
+  }
+}
+
+/**
+ * Acquisisce una sweep. `bufFor(id, n)` restituisce il buffer di lavoro del canale.
+ * Restituisce { all, traces, startIdx, N, dt, triggered } oppure null se il trigger (normal/single) non scatta:
+ * `all` sono tutti i record acquisiti (anche sorgenti trigger/MATH/XY spente), `traces` quelli da disegnare in YT.
+ * In modalità XY il trigger è ignorato, come sugli oscilloscopi reali. `rng` genera il rumore (default Math.random).
+ */
+function acquireSweep(shared: any, view: any, trigger: any, t0: number, bufFor: (id: number, n: number) => Float64Array, rng?: () => number) {
+  const divX = shared.durationDivs, model = scopeModel(shared);
+  const { N, dt } = recordLength(shared, view);
+  const math = view.math?.enabled ? { ...defaultMath, ...view.math } : null;
+  const xy = view.display === "xy" ? { ...defaultXY, ...view.xy } : null;
+  if (xy) trigger = null;
+  const want = new Set<number>(shared.channels.filter((c: any) => c.enabled).map((c: any) => c.id));
+  if (trigger) want.add(Number(trigger.source));
+  if (math) { want.add(Number(math.a)); want.add(Number(math.b)); }
+  if (xy) { want.add(Number(xy.x)); want.add(Number(xy.y)); }
+
+  const sampleAll = (tStart: number, M: number) => {
+    const all = shared.channels.filter((c: any) => want.has(c.id))
+      .map((ch: any) => {
+        // modello reale: la banda passante filtra il segnale analogico, poi l'ADC quantizza i campioni
+        const y = sampleInput(model ? { ...ch, bandwidth: model.bandwidth } : ch, view, shared.difficulty, tStart, dt, M, bufFor(ch.id, M), rng);
+        if (model) quantize(y, M, channelView(view, ch.id), shared.verticalDivs, model.bits);
+        return { ch, y, len: M };
+      });
+    const A = all.find((r: any) => r.ch.id === Number(math?.a)), B = all.find((r: any) => r.ch.id === Number(math?.b));
+    if (math && A && B) {
+      const y = bufFor(MATH_ID, M);
+      for (let i = 0; i < M; i++) y[i] = mathOp(math.op, A.y[i], B.y[i]);
+      all.push({ ch: { id: MATH_ID, enabled: true, color: MATH_COLOR }, y, len: M });
     }
-    default: y = amplitude * baseSine;
+    return all;
+  };
+  const shown = (all: any[]) => all.filter((r: any) => r.ch.enabled);
+
+  if (trigger) {
+    // punto di trigger al centro dello schermo, spostato da Offset t
+    const pos = Math.min(divX, Math.max(0, divX / 2 - view.tOffset / view.sPerDiv));
+    const pre = (pos / divX) * (N - 1);
+    const all = sampleAll(t0, 2 * N + 2);
+    const srcRec = all.find((r: any) => r.ch.id === Number(trigger.source));
+    const k = srcRec ? findTrigger(srcRec.y, Math.ceil(pre), Math.ceil(pre) + N, trigger.level, trigger.slope) : -1;
+    if (k >= 0) return { all, traces: shown(all), startIdx: k - pre, N, dt, triggered: true };
+    if (trigger.mode !== "auto") return null;
   }
-  let n = noise; if (difficulty === "intermedio") n += 0.02 * amplitude; if (difficulty === "avanzato") n += 0.05 * amplitude; if (n > 0) y += randn() * n;
-  return y + dc;
+  const all = sampleAll(t0 + view.tOffset, N);
+  return { all, traces: shown(all), startIdx: 0, N, dt, triggered: false };
+}
+
+/** Curva XY (Lissajous): un canale sull'asse orizzontale, l'altro su quello verticale. */
+function strokeXY(ctx: CanvasRenderingContext2D, xs: Float64Array, ys: Float64Array, from: number, to: number, toX: (v: number) => number, toY: (v: number) => number) {
+  ctx.beginPath();
+  for (let i = from; i <= to; i++) {
+    const x = Math.round(toX(xs[i])) + 0.5, y = Math.round(toY(ys[i])) + 0.5;
+    if (i === from) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+  }
+  ctx.stroke();
+}
+
+/**
+ * Traccia YT con la modalità di interpolazione scelta: "linear" (segmenti), "dots" (solo i campioni) o
+ * "sinc" (ricostruzione sin(x)/x con finestra di Lanczos, utile quando i campioni sono meno dei pixel).
+ */
+function strokeTrace(ctx: CanvasRenderingContext2D, ys: Float64Array, len: number, startIdx: number, N: number, width: number, toY: (v: number) => number, interp = "linear") {
+  const i0 = Math.max(0, Math.floor(startIdx)), i1 = Math.min(len - 1, Math.ceil(startIdx + N - 1));
+  const xOf = (i: number) => ((i - startIdx) / (N - 1)) * width;
+  if (interp === "dots") {
+    ctx.fillStyle = ctx.strokeStyle;
+    for (let i = i0; i <= i1; i++) ctx.fillRect(Math.round(xOf(i)) - 1, Math.round(toY(ys[i])) - 1, 2.5, 2.5);
+    return;
+  }
+  ctx.beginPath();
+  if (interp === "sinc" && N - 1 < width) {
+    const a = 6, sinc = (x: number) => x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    for (let px = 0; px <= width; px++) {
+      const pos = startIdx + (px / width) * (N - 1), k0 = Math.floor(pos);
+      let v = 0;
+      for (let k = Math.max(0, k0 - a + 1); k <= Math.min(len - 1, k0 + a); k++) v += ys[k] * sinc(pos - k) * sinc((pos - k) / a);
+      const y = Math.round(toY(v)) + 0.5;
+      if (px === 0) ctx.moveTo(px + 0.5, y); else ctx.lineTo(px + 0.5, y);
+    }
+  } else if ((N - 1) / width <= 2) {
+    for (let i = i0; i <= i1; i++) {
+      const x = Math.round(xOf(i)) + 0.5, y = Math.round(toY(ys[i])) + 0.5;
+      if (i === i0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    }
+  } else {
+    let col = Math.round(xOf(i0)), lo = ys[i0], hi = ys[i0];
+    ctx.moveTo(col + 0.5, Math.round(toY(ys[i0])) + 0.5);
+    for (let i = i0 + 1; i <= i1; i++) {
+      const c = Math.round(xOf(i));
+      if (c !== col) {
+        ctx.lineTo(col + 0.5, Math.round(toY(hi)) + 0.5); ctx.lineTo(col + 0.5, Math.round(toY(lo)) + 0.5);
+        col = c; lo = hi = ys[i];
+      } else { if (ys[i] < lo) lo = ys[i]; if (ys[i] > hi) hi = ys[i]; }
+    }
+    ctx.lineTo(col + 0.5, Math.round(toY(hi)) + 0.5); ctx.lineTo(col + 0.5, Math.round(toY(lo)) + 0.5);
+  }
+  ctx.stroke();
+}
+
+// =============
+// SPETTRO (FFT)
+// =============
+// Spettro di ampiezza monolatero calcolato su FFT_SIZE campioni presi a shared.sampleRate
+// (indipendente dalla base dei tempi, come la modalità FFT di un oscilloscopio digitale).
+const FFT_SIZE = 4096;
+const FFT_WINDOWS = ["rect", "hann", "flattop"]; // nomi nei cataloghi (fft.window.<tipo>)
+const FFT_LOBE: Record<string, number> = { rect: 1, hann: 2, flattop: 5 }; // semi-larghezza del lobo principale (bin)
+const FFT_REF_DB = 20, FFT_DB_PER_DIV = 10; // dBV al bordo superiore, dB per divisione
+const defaultFft = { window: "hann", scale: "db" as "db" | "lin", cursor: 1000, span: 0 }; // span 0 = fino a Nyquist
+
+function windowCoefs(type: string, N: number) {
+  const w = new Float64Array(N);
+  for (let n = 0; n < N; n++) {
+    const x = (2 * Math.PI * n) / (N - 1);
+    if (type === "hann") w[n] = 0.5 - 0.5 * Math.cos(x);
+    else if (type === "flattop") w[n] = 0.21557895 - 0.41663158 * Math.cos(x) + 0.277263158 * Math.cos(2 * x) - 0.083578947 * Math.cos(3 * x) + 0.006947368 * Math.cos(4 * x);
+    else w[n] = 1;
+  }
+  return w;
+}
+
+/** FFT radix-2 in place (N potenza di 2). */
+function fftInPlace(re: Float64Array, im: Float64Array) {
+  const N = re.length;
+  for (let i = 1, j = 0; i < N; i++) {
+    let bit = N >> 1; for (; j & bit; bit >>= 1) j ^= bit; j ^= bit;
+    if (i < j) { [re[i], re[j]] = [re[j], re[i]]; [im[i], im[j]] = [im[j], im[i]]; }
+  }
+  for (let len = 2; len <= N; len <<= 1) {
+    const ang = (-2 * Math.PI) / len, wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < N; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k, b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci, ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti; re[a] += tr; im[a] += ti;
+        [cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr];
+      }
+    }
+  }
+}
+
+/** Ampiezza di picco (V) per bin 0..N/2 di x con finestra w; re/im sono buffer di lavoro. */
+function amplitudeSpectrum(x: ArrayLike<number>, w: Float64Array, re: Float64Array, im: Float64Array, out: Float64Array) {
+  const N = re.length; let sumW = 0;
+  for (let i = 0; i < N; i++) { re[i] = x[i] * w[i]; im[i] = 0; sumW += w[i]; }
+  fftInPlace(re, im);
+  for (let k = 0; k <= N / 2; k++) out[k] = ((k === 0 || k === N / 2 ? 1 : 2) * Math.hypot(re[k], im[k])) / sumW;
+  return out;
+}
+
+/**
+ * Picchi principali (massimi locali sopra −60 dB dal massimo), frequenza affinata per interpolazione parabolica.
+ * I bin entro `lobe` dalla continua appartengono al lobo della DC, riportata a parte come picco a 0 Hz.
+ */
+function spectrumPeaks(mag: Float64Array, df: number, count = 5, lobe = 1) {
+  let max = 0; for (let k = 0; k < mag.length; k++) if (mag[k] > max) max = mag[k];
+  const peaks: { f: number, amp: number }[] = [];
+  if (mag[0] >= max * 1e-3) peaks.push({ f: 0, amp: mag[0] });
+  for (let k = Math.max(1, lobe); k < mag.length - 1; k++) {
+    if (mag[k] < max * 1e-3 || mag[k] < mag[k - 1] || mag[k] <= mag[k + 1]) continue;
+    const a = mag[k - 1], b = mag[k], c = mag[k + 1], den = a - 2 * b + c;
+    peaks.push({ f: (k + (den ? (0.5 * (a - c)) / den : 0)) * df, amp: b });
+  }
+  return peaks.sort((p, q) => q.amp - p.amp).slice(0, count);
+}
+
+const toDb = (v: number) => 20 * Math.log10(Math.max(v, 1e-9));
+
+/** Disegna gli spettri (asse x: 0..span Hz, 10 divisioni) e il cursore di frequenza; `t` traduce le scritte. */
+function drawSpectra(ctx: CanvasRenderingContext2D, spectra: { ch: any, mag: Float64Array }[], view: any, df: number, span: number, width: number, height: number, divX: number, divY: number, t: any) {
+  const fft = { ...defaultFft, ...(view.fft || {}) }, dy = height / divY;
+  spectra.forEach(({ ch, mag }) => {
+    const cv = channelView(view, ch.id);
+    const toY = fft.scale === "lin" ? (a: number) => height - (a / cv.vPerDiv) * dy : (a: number) => ((FFT_REF_DB - toDb(a)) / FFT_DB_PER_DIV) * dy;
+    const kMax = Math.min(mag.length - 1, Math.ceil(span / df));
+    // una colonna di pixel può coprire più bin: si disegna il massimo della colonna
+    ctx.strokeStyle = ch.color; ctx.lineWidth = 1.5; ctx.beginPath();
+    let col = -1, hi = 0;
+    for (let k = 0; k <= kMax; k++) {
+      const c = Math.round(((k * df) / span) * width);
+      if (c !== col) { if (col >= 0) ctx.lineTo(col + 0.5, Math.round(Math.min(height, toY(hi))) + 0.5); else ctx.moveTo(c + 0.5, Math.round(Math.min(height, toY(mag[k]))) + 0.5); col = c; hi = mag[k]; }
+      else if (mag[k] > hi) hi = mag[k];
+    }
+    ctx.lineTo(col + 0.5, Math.round(Math.min(height, toY(hi))) + 0.5);
+    ctx.stroke();
+  });
+  const xC = Math.round((fft.cursor / span) * width) + 0.5;
+  ctx.strokeStyle = ctx.fillStyle = "#22d3ee"; ctx.setLineDash([6, 4]); ctx.lineWidth = 1;
+  ctx.beginPath(); ctx.moveTo(xC, 0); ctx.lineTo(xC, height); ctx.stroke(); ctx.setLineDash([]);
+  ctx.font = "11px system-ui"; ctx.fillText(`f ${fmtSI(fft.cursor, "Hz")}`, Math.min(xC + 4, width - 70), 14);
+  ctx.fillStyle = "#94a3b8"; ctx.fillText(`${fmtSI(span / divX, "Hz")}/div • ${fft.scale === "lin" ? t("fft.linear") : `${FFT_REF_DB} dBV, ${FFT_DB_PER_DIV} dB/div`}`, 6, height - 6);
+}
+
+function FftControls({ fft, onChange }: any) {
+  const t = useT();
+  const f = { ...defaultFft, ...(fft || {}) };
+  const set = (k: string, v: any) => onChange({ ...f, [k]: v });
+  return (
+    <div className="grid grid-cols-2 gap-3 text-sm">
+      <SelectField label={t("fft.window")} value={f.window} onChange={(v: string) => set("window", v)} options={FFT_WINDOWS.map((k) => [k, t(`fft.window.${k}`)])} />
+      <SelectField label={t("fft.scale")} value={f.scale} onChange={(v: string) => set("scale", v)} options={[["db", t("fft.scale.db")], ["lin", t("fft.scale.lin")]]} />
+      <NumberField label={t("fft.span")} value={f.span} step={100} min={0} onChange={(v: number) => set("span", v >= 0 ? v : 0)} />
+      <NumberField label={t("fft.cursor")} value={f.cursor} step={10} min={0} onChange={(v: number) => set("cursor", v >= 0 ? v : 0)} />
+    </div>
+  );
+}
+
+// =======
+// CURSORI
+// =======
+// Posizioni in divisioni: x da sinistra (0..durationDivs), y dal centro verso l'alto (±verticalDivs/2).
+// Le tensioni si leggono nella scala del canale `source`.
+const defaultCursors = { mode: "off" as "off" | "h" | "v" | "both", source: 1, x1: 3, x2: 7, y1: 2, y2: -2 };
+
+/** Valore con prefisso SI (n, µ, m, k) e 4 cifre significative. */
+function fmtSI(v: number, unit: string) {
+  if (!isFinite(v)) return "—";
+  const a = Math.abs(v);
+  const [k, p] = a >= 1e3 ? [1e-3, "k"] : (a >= 1 || a === 0) ? [1, ""] : a >= 1e-3 ? [1e3, "m"] : a >= 1e-6 ? [1e6, "µ"] : [1e9, "n"];
+  return `${+(v * k).toPrecision(4)} ${p}${unit}`;
+}
+
+/**
+ * Letture dei cursori nelle coordinate correnti della vista. I tempi sono riferiti al punto
+ * di trigger se il trigger è attivo, altrimenti al bordo sinistro (= Offset t).
+ */
+function cursorReadout(cur: any, view: any, shared: any, trigger: any) {
+  const cv = channelView(view, Number(cur.source) || 1);
+  const vAt = (y: number) => (cv.invert ? -1 : 1) * (y - cv.position) * cv.vPerDiv;
+  const v1 = vAt(cur.y1), v2 = vAt(cur.y2);
+  const divX = shared.durationDivs;
+  const tAt = (x: number) => trigger ? (x - Math.min(divX, Math.max(0, divX / 2 - view.tOffset / view.sPerDiv))) * view.sPerDiv : view.tOffset + x * view.sPerDiv;
+  const t1 = tAt(cur.x1), t2 = tAt(cur.x2), dt = t2 - t1;
+  return { v1, v2, dv: v2 - v1, t1, t2, dt, invDt: dt !== 0 ? 1 / Math.abs(dt) : Infinity };
+}
+
+// =================
+// MISURE AUTOMATICHE
+// =================
+// Pannello con le misure calcolate da measureTrace (src/engine/measures.ts) sui campioni acquisiti.
+function AutoMeasurePanel({ channels, results }: any) {
+  const t = useT();
+  const rows: [string, string, string][] = [["vmax", t("quantity.vmax"), "V"], ["vmin", t("quantity.vmin"), "V"], ["vpp", t("quantity.vpp"), "V"], ["mean", t("auto.mean"), "V"], ["rms", t("auto.rms"), "V"], ["freq", t("quantity.freq"), "Hz"], ["period", t("quantity.period"), "s"], ["duty", t("auto.duty"), "%"], ["rise", t("auto.rise"), "s"], ["fall", t("auto.fall"), "s"]];
+  const enabled = channels.filter((c: any) => c.enabled);
+  return (
+    <div className="p-5 rounded-2xl border border-slate-700 bg-slate-900/40">
+      <h2 className="font-semibold mb-4">{t("auto.title")}</h2>
+      <div className="grid md:grid-cols-3 gap-4 text-sm">
+        {enabled.map((ch: any) => {
+          const r = results?.[ch.id];
+          return (
+            <div key={ch.id}>
+              <div className="font-semibold mb-1" style={{ color: ch.color }}>CH{ch.id}</div>
+              <table className="w-full font-mono text-xs">
+                <tbody>
+                  {rows.map(([k, label, unit]) => (
+                    <tr key={k}><td className="text-slate-400 pr-2">{label}</td><td className="text-right">{!r ? "—" : unit === "%" ? (isFinite(r[k]) ? `${(r[k] * 100).toFixed(1)} %` : "—") : fmtSI(r[k], unit)}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
 }
 
 // ============
 // SCOPE CANVAS
 // ============
-function ScopeCanvas({ shared, view, canvasId = "scope-canvas" }: any) {
+// copie dello schermo per la relazione: id del canvas -> funzione che ridisegna l'ultima acquisizione a `scale`×
+const scopeSnapshots = new Map<string, (scale: number) => HTMLCanvasElement>();
+
+/** Schermo `canvasId` ridisegnato a `scale`× (la relazione non dipende dalla risoluzione dello schermo); null se non è montato. */
+function scopeSnapshot(canvasId: string, scale: number) {
+  return scopeSnapshots.get(canvasId)?.(scale) ?? null;
+}
+
+function ScopeCanvas({ shared, view, canvasId = "scope-canvas", running = true, armSeq = 0, onSingleDone, onCursorsChange, onMeasurements, allowFft = true, onFftChange }: any) {
+  const t = useT();
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
   const width = 980, height = 520;
-  const divX = shared.durationDivs, divY = shared.verticalDivs;
-  const sDiv = view.sPerDiv, vDiv = view.vPerDiv; const totalTime = sDiv * divX;
+  // buffer del canvas alla densità reale dello schermo: nitido sugli HiDPI senza riempire pixel in più a ogni frame
+  const [res] = useState(() => window.devicePixelRatio || 1);
+  const sDiv = view.sPerDiv;
+  const trigger = view.trigger ? { ...defaultTrigger, ...view.trigger } : null;
+  const [trigStatus, setTrigStatus] = useState(""); // chiave del catalogo (scope.status.*)
+  const fftOn = view.domain === "fft" && allowFft;
+  const [fftInfo, setFftInfo] = useState<any>(null);
+  // cursori: solo se il docente li consente e la pagina li rende trascinabili
+  const cursors = { ...defaultCursors, ...(view.cursors || {}) };
+  if (shared.cursors === false || !onCursorsChange || fftOn) cursors.mode = "off";
+
+  // il loop di acquisizione legge sempre le props più recenti da qui, fuori dal render di React
+  const propsRef = useRef<any>(null);
+  propsRef.current = { shared, view, trigger, running, armSeq, onSingleDone, cursors, onMeasurements, fftOn, t };
+  const dirtyRef = useRef(true);
+  useEffect(() => { dirtyRef.current = true; }, [shared, view, running, fftOn, t]);
 
   useEffect(() => {
     const canvas = canvasRef.current!; const ctx = canvas.getContext("2d")!;
-    ctx.clearRect(0, 0, width, height);
-    // sfondo
-    ctx.fillStyle = "#0b1020"; ctx.fillRect(0, 0, width, height);
-    // griglia principale semplice 10x10 (pixel-aligned per evitare sfasamenti visuali)
-    const dx = width / divX, dy = height / divY;
-    ctx.strokeStyle = "#1f2a44"; ctx.lineWidth = 1;
-    for (let i = 0; i <= divX; i++) {
-      const x = Math.round(i * dx) + 0.5; // pixel alignment
-      ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, height); ctx.stroke();
-    }
-    for (let j = 0; j <= divY; j++) {
-      const y = Math.round(j * dy) + 0.5; // pixel alignment
-      ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(width, y); ctx.stroke();
-    }
+    // canvas fuori schermo a `scale`× in coordinate logiche width × height
+    const offscreen = (scale: number) => {
+      const c = document.createElement("canvas"); c.width = Math.round(width * scale); c.height = Math.round(height * scale);
+      const lc = c.getContext("2d")!; lc.setTransform(scale, 0, 0, scale, 0, 0);
+      return lc;
+    };
+    // layer delle tracce separato: la persistenza sfuma solo le tracce, non la griglia
+    const lctx = offscreen(res);
+    // si disegna sempre in coordinate logiche width × height
+    ctx.setTransform(res, 0, 0, res, 0, 0);
+    const bufs = new Map<number, Float64Array[]>(); // id canale -> [lavoro, visualizzato]
+    const bufFor = (id: number, n: number) => {
+      let pair = bufs.get(id);
+      if (!pair) { pair = [new Float64Array(n), new Float64Array(n)]; bufs.set(id, pair); }
+      if (pair[0].length < n) pair[0] = new Float64Array(n);
+      return pair[0];
+    };
+    let last: any = null, simT = 0, prevTs = 0, raf = 0, lastMeasureTs = -Infinity;
+    let seenArm = propsRef.current.armSeq, seenMode = "", armed = true, status = "";
+    // rumore riproducibile: il generatore riparte quando il docente cambia il seme
+    let rngSeed = NaN, rng = Math.random;
+    // FFT: buffer preallocati, finestra ricalcolata solo quando cambia il tipo
+    const fRe = new Float64Array(FFT_SIZE), fIm = new Float64Array(FFT_SIZE);
+    const specs = new Map<number, Float64Array>();
+    let win = { type: "", w: new Float64Array(FFT_SIZE) }, spectra: any[] = [], lastFftInfoTs = -Infinity;
 
-    // assi centrali più evidenti (verticale al centro, orizzontale centrata sull'offset V) (verticale al centro, orizzontale centrata sull'offset V)
-    ctx.strokeStyle = "#475569"; ctx.lineWidth = 1.5; ctx.setLineDash([]);
-    ctx.beginPath(); ctx.moveTo(width / 2, 0); ctx.lineTo(width / 2, height); ctx.stroke();
-    ctx.beginPath(); ctx.moveTo(0, height / 2 - (view.vOffset / vDiv) * dy); ctx.lineTo(width, height / 2 - (view.vOffset / vDiv) * dy); ctx.stroke();
-    
-    // canali
-    shared.channels.forEach((ch: any) => {
-      if (!ch.enabled) return;
-      ctx.lineWidth = 2;
-      ctx.lineJoin = "round";
-      ctx.lineCap = "round";
-      ctx.strokeStyle = ch.color;
-      ctx.beginPath();
-
-      const N = Math.max(2000, Math.floor(shared.sampleRate * totalTime));
-      const w = 2 * Math.PI * ch.frequency;
-
-      for (let i = 0; i < N; i++) {
-        const t = (i / (N - 1)) * totalTime + view.tOffset;
-        const yV = waveformSample(ch.waveform, t, { ...ch, difficulty: shared.difficulty });
-        const xR = (i / (N - 1)) * width;
-        const yR = height / 2 - ((yV - view.vOffset) / vDiv) * dy;
-        const x = Math.round(xR) + 0.5;
-        const y = Math.round(yR) + 0.5;
-        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    // schermo FFT su `ctx`: griglia e ultimi spettri
+    const paintFft = (ctx: CanvasRenderingContext2D) => {
+      const { shared, view, t } = propsRef.current;
+      const fs = shared.sampleRate, fft = { ...defaultFft, ...(view.fft || {}) };
+      const span = fft.span > 0 ? Math.min(fft.span, fs / 2) : fs / 2;
+      const divX = shared.durationDivs, divY = shared.verticalDivs, dx = width / divX, dy = height / divY;
+      ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = "#0b1020"; ctx.fillRect(0, 0, width, height);
+      ctx.strokeStyle = "#1f2a44"; ctx.lineWidth = 1;
+      for (let i = 0; i <= divX; i++) { const x = Math.round(i * dx) + 0.5; ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, height); ctx.stroke(); }
+      for (let j = 0; j <= divY; j++) { const y = Math.round(j * dy) + 0.5; ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(width, y); ctx.stroke(); }
+      drawSpectra(ctx, spectra, view, fs / FFT_SIZE, span, width, height, divX, divY, t);
+    };
+
+    // modalità FFT: record di FFT_SIZE campioni a shared.sampleRate, niente trigger
+    const fftFrame = (ts: number, elapsed: number, shared: any, view: any, running: boolean) => {
+      const fs = shared.sampleRate, df = fs / FFT_SIZE, fft = { ...defaultFft, ...(view.fft || {}) };
+      const fresh = running;
+      if (running) {
+        simT += elapsed;
+        if (win.type !== fft.window) win = { type: fft.window, w: windowCoefs(fft.window, FFT_SIZE) };
+        spectra = shared.channels.filter((c: any) => c.enabled).map((ch: any) => {
+          const x = sampleInput(ch, view, shared.difficulty, simT, 1 / fs, FFT_SIZE, bufFor(ch.id, FFT_SIZE), rng);
+          if (!specs.has(ch.id)) specs.set(ch.id, new Float64Array(FFT_SIZE / 2 + 1));
+          return { ch, mag: amplitudeSpectrum(x, win.w, fRe, fIm, specs.get(ch.id)!) };
+        });
+      }
+      if (!fresh && !dirtyRef.current) return;
+      dirtyRef.current = false;
+      paintFft(ctx);
+      if (!fresh || ts - lastFftInfoTs > 250) {
+        lastFftInfoTs = ts;
+        const kC = Math.round(fft.cursor / df);
+        setFftInfo({ df, rows: spectra.map(({ ch, mag }) => ({ id: ch.id, color: ch.color, atCursor: mag[kC] ?? NaN, peaks: spectrumPeaks(mag, df, 5, FFT_LOBE[fft.window] ?? 1) })) });
+      }
+    };
+
+    // schermo nel dominio del tempo su `ctx` (tracce su `lctx`); con `fresh` (nuova sweep) la persistenza sfuma le precedenti
+    const paintTime = (ctx: CanvasRenderingContext2D, lctx: CanvasRenderingContext2D, fresh: boolean) => {
+      const { shared, view, trigger, cursors } = propsRef.current;
+      const divX = shared.durationDivs, divY = shared.verticalDivs;
+      const dx = width / divX, dy = height / divY;
+      const xy = view.display === "xy" ? { ...defaultXY, ...view.xy } : null;
+      // ogni canale ha la sua scala verticale, posizione e inversione
+      const toYFor = (id: number) => {
+        const cv = channelView(view, id), k = (cv.invert ? -1 : 1) / cv.vPerDiv;
+        return (v: number) => height / 2 - (cv.position + v * k) * dy;
+      };
+
+      // tracce (con persistenza: le sweep precedenti sfumano invece di sparire)
+      const fade = PERSISTENCE_FADE[view.persistence] ?? 1;
+      if (fresh && fade < 1) {
+        lctx.globalCompositeOperation = "destination-out"; lctx.fillStyle = `rgba(0,0,0,${fade})`;
+        lctx.fillRect(0, 0, width, height); lctx.globalCompositeOperation = "source-over";
+      } else lctx.clearRect(0, 0, width, height);
+      lctx.lineWidth = 2;
+      lctx.lineJoin = "round";
+      lctx.lineCap = "round";
+      if (xy && last) {
+        const X = last.all.find((r: any) => r.ch.id === Number(xy.x)), Y = last.all.find((r: any) => r.ch.id === Number(xy.y));
+        if (X && Y) {
+          const cx = channelView(view, X.ch.id), kx = (cx.invert ? -1 : 1) / cx.vPerDiv;
+          const i0 = Math.max(0, Math.floor(last.startIdx)), i1 = Math.min(X.len - 1, i0 + last.N - 1);
+          lctx.strokeStyle = Y.ch.color;
+          strokeXY(lctx, bufs.get(X.ch.id)![1], bufs.get(Y.ch.id)![1], i0, i1, (v: number) => width / 2 + (cx.position + v * kx) * dx, toYFor(Y.ch.id));
+        }
+      } else last?.traces.forEach((r: any) => {
+        if (!bufs.has(r.ch.id)) return;
+        lctx.strokeStyle = r.ch.color;
+        strokeTrace(lctx, bufs.get(r.ch.id)![1], r.len, last.startIdx, last.N, width, toYFor(r.ch.id), view.interp);
+      });
+
+      ctx.clearRect(0, 0, width, height);
+      // sfondo
+      ctx.fillStyle = "#0b1020"; ctx.fillRect(0, 0, width, height);
+      // griglia principale semplice 10x10 (pixel-aligned per evitare sfasamenti visuali)
+      ctx.strokeStyle = "#1f2a44"; ctx.lineWidth = 1;
+      for (let i = 0; i <= divX; i++) {
+        const x = Math.round(i * dx) + 0.5; // pixel alignment
+        ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, height); ctx.stroke();
+      }
+      for (let j = 0; j <= divY; j++) {
+        const y = Math.round(j * dy) + 0.5; // pixel alignment
+        ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(width, y); ctx.stroke();
       }
-      ctx.stroke();
+
+      // assi centrali più evidenti (l'offset verticale ora è per canale, vedi marker di massa)
+      ctx.strokeStyle = "#475569"; ctx.lineWidth = 1.5; ctx.setLineDash([]);
+      ctx.beginPath(); ctx.moveTo(width / 2, 0); ctx.lineTo(width / 2, height); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(0, height / 2 + 0.5); ctx.lineTo(width, height / 2 + 0.5); ctx.stroke();
+
+      // canali
+      ctx.drawImage(lctx.canvas, 0, 0, width, height);
+
+      // marker di massa (0 V) per canale sul bordo sinistro
+      ctx.font = "bold 10px system-ui";
+      const grounds = xy ? [] : shared.channels.filter((c: any) => c.enabled).map((c: any) => ({ id: c.id, color: c.color, label: String(c.id) }));
+      if (!xy && view.math?.enabled) grounds.push({ id: MATH_ID, color: MATH_COLOR, label: "M" });
+      grounds.forEach((g: any) => {
+        const yG = Math.round(Math.min(height - 7, Math.max(7, toYFor(g.id)(0)))) + 0.5;
+        ctx.fillStyle = g.color;
+        ctx.beginPath(); ctx.moveTo(0, yG - 7); ctx.lineTo(14, yG - 7); ctx.lineTo(20, yG); ctx.lineTo(14, yG + 7); ctx.lineTo(0, yG + 7); ctx.closePath(); ctx.fill();
+        ctx.fillStyle = "#0b1020"; ctx.fillText(g.label, 4, yG + 4);
+      });
+
+      // marker trigger: livello sul bordo destro, posizione orizzontale sul bordo superiore
+      if (trigger && !xy) {
+        const src = shared.channels.find((c: any) => c.id === Number(trigger.source));
+        const yT = Math.round(toYFor(Number(trigger.source))(trigger.level)) + 0.5;
+        const xT = Math.round(Math.min(divX, Math.max(0, divX / 2 - view.tOffset / view.sPerDiv)) * dx) + 0.5;
+        ctx.fillStyle = src?.color || "#f59e0b"; ctx.strokeStyle = src?.color || "#f59e0b";
+        ctx.setLineDash([4, 4]); ctx.lineWidth = 1; ctx.globalAlpha = 0.5;
+        ctx.beginPath(); ctx.moveTo(0, yT); ctx.lineTo(width, yT); ctx.stroke();
+        ctx.setLineDash([]); ctx.globalAlpha = 1;
+        ctx.beginPath(); ctx.moveTo(width, yT); ctx.lineTo(width - 12, yT - 7); ctx.lineTo(width - 12, yT + 7); ctx.closePath(); ctx.fill();
+        ctx.beginPath(); ctx.moveTo(xT, 0); ctx.lineTo(xT - 7, 0); ctx.lineTo(xT, 10); ctx.lineTo(xT + 7, 0); ctx.closePath(); ctx.fill();
+        ctx.font = "bold 11px system-ui"; ctx.fillText("T", width - 24, yT + 4);
+      }
+
+      // cursori: orizzontali (tensione) in ambra, verticali (tempo) in azzurro
+      ctx.setLineDash([6, 4]); ctx.lineWidth = 1; ctx.font = "11px system-ui";
+      if (cursors.mode === "h" || cursors.mode === "both") {
+        ctx.strokeStyle = ctx.fillStyle = "#fbbf24";
+        [["Y1", cursors.y1], ["Y2", cursors.y2]].forEach(([label, y]: any) => {
+          const yy = Math.round(height / 2 - y * dy) + 0.5;
+          ctx.beginPath(); ctx.moveTo(0, yy); ctx.lineTo(width, yy); ctx.stroke(); ctx.fillText(label, 4, yy - 4);
+        });
+      }
+      if (cursors.mode === "v" || cursors.mode === "both") {
+        ctx.strokeStyle = ctx.fillStyle = "#22d3ee";
+        [["X1", cursors.x1], ["X2", cursors.x2]].forEach(([label, x]: any) => {
+          const xx = Math.round(x * dx) + 0.5;
+          ctx.beginPath(); ctx.moveTo(xx, 0); ctx.lineTo(xx, height); ctx.stroke(); ctx.fillText(label, xx + 4, height - 6);
+        });
+      }
+      ctx.setLineDash([]);
+    };
+
+    const frame = (ts: number) => {
+      raf = requestAnimationFrame(frame);
+      const { shared, view, trigger, running, armSeq, onSingleDone, onMeasurements, fftOn } = propsRef.current;
+      const elapsed = prevTs ? Math.min(0.1, (ts - prevTs) / 1000) : 0; prevTs = ts;
+      const seed = shared.exercise?.seed ?? 0;
+      if (seed !== rngSeed) { rngSeed = seed; rng = mulberry32(seed); }
+      if (fftOn) {
+        const s = running ? "scope.status.fft" : "scope.status.stop";
+        if (s !== status) { status = s; setTrigStatus(status); }
+        fftFrame(ts, elapsed, shared, view, running);
+        return;
+      }
+      const mode = trigger?.mode || "";
+      if (armSeq !== seenArm || mode !== seenMode) { seenArm = armSeq; seenMode = mode; armed = true; }
+
+      // acquisizione: il tempo di simulazione prosegue in tempo reale, così i segnali non triggerati scorrono
+      let fresh = false, nextStatus = running ? "" : "scope.status.stop";
+      if (running && !(mode === "single" && !armed)) {
+        simT += elapsed;
+        const acq = acquireSweep(shared, view, trigger, simT, bufFor, rng);
+        if (acq) {
+          acq.all.forEach((r: any) => { const pair = bufs.get(r.ch.id)!; [pair[0], pair[1]] = [pair[1], pair[0]]; });
+          last = acq; fresh = true;
+          if (mode === "single" && acq.triggered) { armed = false; onSingleDone?.(); }
+          // misure automatiche sulla finestra visibile, aggiornate ~4 volte al secondo
+          if (onMeasurements && (ts - lastMeasureTs > 250 || mode === "single")) {
+            lastMeasureTs = ts;
+            const out: any = {};
+            acq.traces.forEach((r: any) => { out[r.ch.id] = measureTrace(bufs.get(r.ch.id)![1], acq.startIdx, acq.startIdx + acq.N - 1, acq.dt); });
+            onMeasurements(out);
+          }
+        }
+        if (trigger) nextStatus = `scope.status.${acq?.triggered ? (mode === "single" ? "singleDone" : "trigd") : mode === "auto" ? "auto" : mode === "single" ? "singleWait" : "normalWait"}`;
+      } else if (mode === "single" && !armed) nextStatus = "scope.status.singleDone";
+      if (nextStatus !== status) { status = nextStatus; setTrigStatus(status); }
+      if (!fresh && !dirtyRef.current) return;
+      dirtyRef.current = false;
+      paintTime(ctx, lctx, fresh);
+    };
+    // la relazione ridisegna l'ultima acquisizione (senza persistenza) su un canvas a parte, alla scala richiesta
+    scopeSnapshots.set(canvasId, (scale: number) => {
+      const out = offscreen(scale);
+      if (propsRef.current.fftOn) paintFft(out);
+      else paintTime(out, offscreen(scale), false);
+      return out.canvas;
     });
-  }, [shared, view]);
+    raf = requestAnimationFrame(frame);
+    return () => { cancelAnimationFrame(raf); scopeSnapshots.delete(canvasId); };
+  }, []);
+
+  // trascinamento cursori: si aggancia la linea più vicina entro 8 px
+  const dragRef = useRef<string | null>(null);
+  const toDivs = (e: React.PointerEvent) => {
+    const r = canvasRef.current!.getBoundingClientRect();
+    const x = ((e.clientX - r.left) * width) / r.width, y = ((e.clientY - r.top) * height) / r.height;
+    return { x: x / (width / shared.durationDivs), y: (height / 2 - y) / (height / shared.verticalDivs), px: x, py: y };
+  };
+  const fftSet = (e: React.PointerEvent) => {
+    const f = { ...defaultFft, ...(view.fft || {}) }, fs = shared.sampleRate;
+    const span = f.span > 0 ? Math.min(f.span, fs / 2) : fs / 2;
+    onFftChange({ ...f, cursor: +Math.min(span, Math.max(0, (toDivs(e).px / width) * span)).toPrecision(5) });
+  };
+  const onPointerDown = (e: React.PointerEvent) => {
+    if (fftOn && onFftChange) { dragRef.current = "f"; canvasRef.current!.setPointerCapture(e.pointerId); fftSet(e); return; }
+    if (cursors.mode === "off") return;
+    const p = toDivs(e), dx = width / shared.durationDivs, dy = height / shared.verticalDivs;
+    const cand: [string, number][] = [];
+    if (cursors.mode !== "v") cand.push(["y1", Math.abs(p.py - (height / 2 - cursors.y1 * dy))], ["y2", Math.abs(p.py - (height / 2 - cursors.y2 * dy))]);
+    if (cursors.mode !== "h") cand.push(["x1", Math.abs(p.px - cursors.x1 * dx)], ["x2", Math.abs(p.px - cursors.x2 * dx)]);
+    const best = cand.sort((a, b) => a[1] - b[1])[0];
+    if (best && best[1] <= 8) { dragRef.current = best[0]; canvasRef.current!.setPointerCapture(e.pointerId); }
+  };
+  const onPointerMove = (e: React.PointerEvent) => {
+    const k = dragRef.current; if (!k) return;
+    if (k === "f") { fftSet(e); return; }
+    const p = toDivs(e);
+    const v = k[0] === "x" ? Math.min(shared.durationDivs, Math.max(0, p.x)) : Math.min(shared.verticalDivs / 2, Math.max(-shared.verticalDivs / 2, p.y));
+    onCursorsChange({ ...cursors, [k]: +v.toFixed(3) });
+  };
+  const onPointerUp = () => { dragRef.current = null; };
+  const rd = cursorReadout(cursors, view, shared, trigger);
+  const model = scopeModel(shared);
 
   return (
     <div className="w-full flex flex-col items-center">
-      <canvas id={canvasId} ref={canvasRef} width={width} height={height} className="rounded-2xl shadow-xl border border-slate-700" />
-      <div className="mt-2 text-xs text-slate-300">{vDiv} V/div • {sDiv} s/div • Offset V: {view.vOffset} V • Offset t: {view.tOffset} s</div>
+      <canvas id={canvasId} ref={canvasRef} width={Math.round(width * res)} height={Math.round(height * res)} style={{ width, height }} className={`rounded-2xl shadow-xl border border-slate-700 ${cursors.mode !== "off" || (fftOn && onFftChange) ? "cursor-crosshair touch-none" : ""}`}
+        onPointerDown={onPointerDown} onPointerMove={onPointerMove} onPointerUp={onPointerUp} onPointerCancel={onPointerUp} />
+      <div className="mt-2 text-xs text-slate-300">
+        {shared.channels.filter((c: any) => c.enabled).map((c: any) => {
+          const cv = channelView(view, c.id);
+          return <span key={c.id} style={{ color: c.color }}>CH{c.id} {cv.vPerDiv} V/div {cv.coupling.toUpperCase()}{cv.invert ? " INV" : ""}{circuitActive(c) ? ` [${t(`circuit.${c.circuit.type}`)}]` : ""} • </span>;
+        })}
+        {view.math?.enabled && <span style={{ color: MATH_COLOR }}>MATH {MATH_OPS.find(([k]) => k === view.math.op)?.[1].replace("A", `CH${view.math.a}`).replace("B", `CH${view.math.b}`)} {channelView(view, MATH_ID).vPerDiv} /div • </span>}
+        {view.display === "xy" ? <>XY: X = CH{view.xy?.x ?? defaultXY.x}, Y = CH{view.xy?.y ?? defaultXY.y}</> : <>{sDiv} s/div • Offset t: {view.tOffset} s</>}
+        {trigger && <> • Trigger CH{trigger.source} {trigger.slope === "falling" ? "↓" : "↑"} {trigger.level} V</>}
+        {trigStatus && <> • {t(trigStatus, { n: FFT_SIZE })}</>}
+        {model && !fftOn && <> • {fmtSI(1 / recordLength(shared, view).dt, "Sa/s")} • {t("scope.bandwidth")} {fmtSI(model.bandwidth, "Hz")} • ADC {model.bits} bit</>}
+      </div>
+      {fftOn && fftInfo && (
+        <div className="mt-2 w-full max-w-[980px] text-xs font-mono space-y-1">
+          {fftInfo.rows.map((r: any) => (
+            <div key={r.id} style={{ color: r.color }}>
+              CH{r.id} • {t("scope.cursor")} {fmtSI((view.fft?.cursor ?? defaultFft.cursor), "Hz")}: {fmtSI(r.atCursor, "V")} ({toDb(r.atCursor).toFixed(1)} dBV) • {t("scope.peaks")}: {r.peaks.map((p: any) => `${fmtSI(p.f, "Hz")} ${fmtSI(p.amp, "V")}`).join(", ") || "—"}
+            </div>
+          ))}
+          <div className="text-slate-500">{t("scope.resolution")} {fmtSI(fftInfo.df, "Hz")} • fs {fmtSI(shared.sampleRate, "Hz")}</div>
+        </div>
+      )}
+      {cursors.mode !== "off" && (
+        <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs font-mono">
+          {cursors.mode !== "v" && <span className="text-amber-300">V1 {fmtSI(rd.v1, "V")} • V2 {fmtSI(rd.v2, "V")} • ΔV {fmtSI(rd.dv, "V")}</span>}
+          {cursors.mode !== "h" && <span className="text-cyan-300">t1 {fmtSI(rd.t1, "s")} • t2 {fmtSI(rd.t2, "s")} • Δt {fmtSI(rd.dt, "s")} • 1/Δt {fmtSI(rd.invDt, "Hz")}</span>}
+        </div>
+      )}
     </div>
   );
 }
@@ -192,11 +1056,28 @@ function ScopeCanvas({ shared, view, canvasId = "scope-canvas" }: any) {
 // =======================
 // INPUT HELPERS COMPONENTS
 // =======================
+// Campo numerico testuale: accetta la virgola decimale secondo la lingua e chiama onChange solo con numeri validi;
+// il testo in modifica resta com'è fino all'uscita dal campo. Frecce su/giù: ±step (non sotto `min`).
 function NumberField({ label, value, onChange, step = 1, min }: any) {
+  const t = useT();
+  const [draft, setDraft] = useState<string | null>(null);
+  const edit = (text: string) => {
+    setDraft(text);
+    const v = parseNumber(text, t.lang);
+    if (isFinite(v)) onChange(v);
+  };
+  const onKeyDown = (e: any) => {
+    if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+    e.preventDefault();
+    const v = +((isFinite(value) ? value : 0) + (e.key === "ArrowUp" ? step : -step)).toPrecision(12);
+    setDraft(null);
+    onChange(min !== undefined ? Math.max(min, v) : v);
+  };
   return (
     <label className="flex flex-col gap-1 text-slate-300 text-sm">
       <span>{label}</span>
-      <input type="number" step={step} min={min} value={value} onChange={(e) => onChange(parseFloat((e.target as HTMLInputElement).value))} className="bg-slate-800 border border-slate-700 rounded-xl p-2" />
+      <input type="text" inputMode="decimal" value={draft ?? (isFinite(value) ? String(value) : "")} onChange={(e) => edit((e.target as HTMLInputElement).value)}
+        onBlur={() => setDraft(null)} onKeyDown={onKeyDown} className="bg-slate-800 border border-slate-700 rounded-xl p-2" />
     </label>
   );
 }
@@ -210,20 +1091,61 @@ function TextField({ label, value, onChange, placeholder }: any) {
   );
 }
 
+function SelectField({ label, value, onChange, options }: any) {
+  return (
+    <label className="flex flex-col gap-1 text-slate-300 text-sm">
+      <span>{label}</span>
+      <select value={value} onChange={(e) => onChange((e.target as HTMLSelectElement).value)} className="bg-slate-800 border border-slate-700 rounded-xl p-2">
+        {options.map(([v, text]: any) => <option key={v} value={v}>{text}</option>)}
+      </select>
+    </label>
+  );
+}
+
+// colore per esito; i nomi degli esiti sono nei cataloghi (grade.<esito>)
+const GRADE_STATUS: Record<string, string> = { ok: "text-emerald-400", partial: "text-amber-400", wrong: "text-rose-400", missing: "text-rose-400" };
+
+/** Dettaglio della valutazione: valore dato, banda di tolleranza attorno all'atteso e scarto. */
+function GradeFieldsTable({ fields }: any) {
+  const t = useT();
+  const rows = RUBRIC_QUANTITIES.filter(([q]) => fields?.[q]);
+  if (!rows.length) return null;
+  return (
+    <table className="w-full text-xs">
+      <thead className="text-slate-400 text-left"><tr><th className="py-1">{t("rubric.quantity")}</th><th>{t("grade.yours")}</th><th>{t("grade.band")}</th><th>{t("grade.dev")}</th><th></th></tr></thead>
+      <tbody>
+        {rows.map(([q, unit]) => {
+          const f = fields[q], color = GRADE_STATUS[f.status] || "";
+          const pct = f.dev !== null && f.expected ? ` (${f.dev >= 0 ? "+" : ""}${(100 * f.dev / Math.abs(f.expected)).toFixed(1)}%)` : "";
+          return (
+            <tr key={q} className="border-t border-slate-800">
+              <td className="py-1">{t(`quantity.${q}`)}</td>
+              <td>{f.user === null ? "—" : fmtQuantity(f.user, unit)}</td>
+              <td>{fmtQuantity(f.expected - f.band, unit)} … {fmtQuantity(f.expected + f.band, unit)}</td>
+              <td>{f.dev === null ? "—" : `${f.dev >= 0 ? "+" : ""}${fmtQuantity(f.dev, unit)}${pct}`}</td>
+              <td className={color}>{t(`grade.${f.status}`)}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+// I valori restano il testo scritto dallo studente ("0,5" compreso): li interpreta gradeMeasures con la lingua della consegna.
 function MeasureCard({ chId, enabled, values, onChange }: any) {
+  const t = useT();
   const safe = values || { vmax: "", vmin: "", vpp: "", period: "", freq: "" };
   return (
     <div className={`p-4 rounded-2xl border ${enabled ? "border-slate-700 bg-slate-900/40" : "border-slate-800 bg-slate-900/20 opacity-60"}`}>
       <div className="flex items-center justify-between mb-2">
-        <h3 className="font-semibold">Misure CH{chId}</h3>
-        <span className={`text-xs ${enabled ? "text-emerald-400" : "text-slate-500"}`}>{enabled ? "attivo" : "spento"}</span>
+        <h3 className="font-semibold">{t("measure.title", { id: chId })}</h3>
+        <span className={`text-xs ${enabled ? "text-emerald-400" : "text-slate-500"}`}>{enabled ? t("measure.on") : t("measure.off")}</span>
       </div>
       <div className="grid grid-cols-2 gap-3 text-sm">
-        <TextField label="Vmax (V)" value={safe.vmax} onChange={(v: string) => onChange("vmax", v)} />
-        <TextField label="Vmin (V)" value={safe.vmin} onChange={(v: string) => onChange("vmin", v)} />
-        <TextField label="Vpp (V)" value={safe.vpp} onChange={(v: string) => onChange("vpp", v)} />
-        <TextField label="Periodo (s)" value={safe.period} onChange={(v: string) => onChange("period", v)} />
-        <TextField label="Frequenza (Hz)" value={safe.freq} onChange={(v: string) => onChange("freq", v)} />
+        {RUBRIC_QUANTITIES.filter(([, , kind]) => kind !== "ph").map(([q, unit]) => (
+          <TextField key={q} label={`${t(`quantity.${q}`)} (${unit})`} value={safe[q]} onChange={(v: string) => onChange(q, v)} />
+        ))}
       </div>
     </div>
   );
@@ -232,38 +1154,107 @@ function MeasureCard({ chId, enabled, values, onChange }: any) {
 // ==================
 // PAGINA: DOCENTE
 // ==================
+/** Editor della forma arbitraria: tabella delle armoniche oppure import di un periodo da CSV, con anteprima. */
+function ArbitraryEditor({ ch, onChange }: any) {
+  const t = useT();
+  const arb = { ...defaultArb, ...(ch.arb || {}) };
+  const [csvInfo, setCsvInfo] = useState("");
+  const setArb = (next: any) => onChange({ ...ch, arb: { ...arb, ...next } });
+  const setHarmonic = (i: number, k: string, v: number) => setArb({ harmonics: arb.harmonics.map((h: any, j: number) => j === i ? { ...h, [k]: isFinite(v) ? v : 0 } : h) });
+  const importCsv = async (file: File) => {
+    const parsed: any = parseWaveCsv(await file.text());
+    if (parsed.error) { setCsvInfo(`${file.name}: ${t(parsed.error.key, parsed.error.vars)}`); return; }
+    const { samples, peak, period } = samplesFromCsv(parsed.t, parsed.v);
+    onChange({ ...ch, arb: { ...arb, source: "samples", samples }, amplitude: +peak.toPrecision(4), frequency: +(1 / period).toPrecision(6), dc: 0, phase: 0 });
+    setCsvInfo(t("arb.csvInfo", { file: file.name, n: parsed.t.length, period: fmtSI(period, "s"), peak: fmtSI(peak, "V") }));
+  };
+  // anteprima di un periodo (forma normalizzata)
+  const tab = arbTable(arb), pts = Array.from({ length: 121 }, (_, i) => `${i * 2},${24 - 20 * arbValue(tab, (i / 120) % 1)}`).join(" ");
+  return (
+    <div className="p-2 rounded-xl border border-slate-800 space-y-2">
+      <div className="flex items-center gap-2">
+        <SelectField label={t("arb.source")} value={arb.source} onChange={(v: string) => setArb({ source: v })} options={[["harmonics", t("arb.source.harmonics")], ["samples", t("arb.source.samples")]]} />
+        <svg viewBox="0 0 240 48" className="flex-1 h-12 bg-slate-950 rounded-lg"><polyline points={pts} fill="none" stroke={ch.color} strokeWidth="1.5" /></svg>
+      </div>
+      {arb.source === "harmonics" ? (
+        <div className="space-y-1">
+          {arb.harmonics.map((h: any, i: number) => (
+            <div key={i} className="grid grid-cols-[2.5rem_1fr_1fr_auto] gap-2 items-end">
+              <span className="pb-2 text-slate-400">n={i + 1}</span>
+              <NumberField label={i ? "" : t("arb.amp")} value={h.amp} step={0.05} min={0} onChange={(v: number) => setHarmonic(i, "amp", v)} />
+              <NumberField label={i ? "" : t("channel.phase")} value={h.phase} step={0.1} onChange={(v: number) => setHarmonic(i, "phase", v)} />
+              <button onClick={() => setArb({ harmonics: arb.harmonics.filter((_: any, j: number) => j !== i) })} disabled={arb.harmonics.length <= 1} className="px-2 py-2 rounded-lg bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-40">✕</button>
+            </div>
+          ))}
+          <button onClick={() => setArb({ harmonics: [...arb.harmonics, { amp: 0, phase: 0 }] })} disabled={arb.harmonics.length >= ARB_MAX_HARMONICS} className="px-2 py-1 rounded-lg text-xs bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-40">{t("arb.addHarmonic")}</button>
+          <p className="text-xs text-slate-400">{t("arb.normalized")}</p>
+        </div>
+      ) : (
+        <div className="space-y-1">
+          <input type="file" accept=".csv,.txt,text/csv" onChange={(e) => { const f = (e.target as HTMLInputElement).files?.[0]; if (f) importCsv(f); (e.target as HTMLInputElement).value = ""; }} className="text-xs" />
+          <p className="text-xs text-slate-400">{csvInfo || (arb.samples.length ? t("arb.points", { n: arb.samples.length }) : t("arb.noCsv"))}</p>
+          <p className="text-xs text-slate-400">{t("arb.csvHelp")}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Stadio circuitale del canale: tipo e valori dei componenti (C in µF, L in mH), con la frequenza caratteristica. */
+function CircuitControls({ ch, onChange }: any) {
+  const t = useT();
+  const c = { ...defaultCircuit, ...(ch.circuit || {}) };
+  const set = (k: string, v: any) => onChange({ ...ch, circuit: { ...c, [k]: v } });
+  const pos = (v: number, fallback: number) => isFinite(v) && v > 0 ? v : fallback;
+  const rect = c.type === "half" || c.type === "full";
+  const info = c.type === "rc-lp" || c.type === "rc-hp" ? `fc = ${fmtSI(1 / (2 * Math.PI * c.R * c.C), "Hz")}`
+    : c.type === "rl-lp" || c.type === "rl-hp" ? `fc = ${fmtSI(c.R / (2 * Math.PI * c.L), "Hz")}`
+    : c.type === "rlc" ? `f0 = ${fmtSI(1 / (2 * Math.PI * Math.sqrt(c.L * c.C)), "Hz")} • Q = ${+(Math.sqrt(c.L / c.C) / c.R).toPrecision(3)}`
+    : rect ? `τ = RC = ${fmtSI(c.R * c.C, "s")}` : "";
+  return (
+    <div className="space-y-2">
+      <SelectField label={t("circuit.label")} value={c.type} onChange={(v: string) => set("type", v)} options={CIRCUITS.map((k) => [k, t(`circuit.${k}`)])} />
+      {c.type !== "none" && (
+        <div className="grid grid-cols-3 gap-2">
+          <NumberField label={rect ? t("circuit.rLoad") : "R (Ω)"} value={c.R} step={10} min={0} onChange={(v: number) => set("R", pos(v, c.R))} />
+          {c.type !== "rl-lp" && c.type !== "rl-hp" && <NumberField label={rect ? t("circuit.cSmooth") : "C (µF)"} value={+(c.C * 1e6).toPrecision(6)} step={0.1} min={0} onChange={(v: number) => set("C", rect ? (isFinite(v) && v >= 0 ? v * 1e-6 : c.C) : pos(v * 1e-6, c.C))} />}
+          {(c.type === "rl-lp" || c.type === "rl-hp" || c.type === "rlc") && <NumberField label="L (mH)" value={+(c.L * 1e3).toPrecision(6)} step={1} min={0} onChange={(v: number) => set("L", pos(v * 1e-3, c.L))} />}
+          {c.type === "rlc" && <SelectField label={t("circuit.out")} value={c.out} onChange={(v: string) => set("out", v)} options={[["c", "C"], ["r", "R"], ["l", "L"]]} />}
+          {rect && <NumberField label={t("circuit.vd")} value={c.vd} step={0.1} min={0} onChange={(v: number) => set("vd", isFinite(v) && v >= 0 ? v : c.vd)} />}
+        </div>
+      )}
+      {c.type !== "none" && <p className="text-xs text-slate-400">{info}{ch.waveform === "noise" ? ` • ${t("circuit.noNoise")}` : ""}. {t("circuit.help")}</p>}
+    </div>
+  );
+}
+
 function ChannelControls({ ch, onChange }: any) {
+  const t = useT();
   const set = (k: string, v: any) => onChange({ ...ch, [k]: v });
   return (
     <div className="p-3 rounded-2xl border border-slate-700 bg-slate-900/40 space-y-2">
       <div className="flex items-center justify-between">
         <div className="font-semibold">CH{ch.id}</div>
         <label className="flex items-center gap-2 text-sm">
-          <input type="checkbox" checked={ch.enabled} onChange={(e) => set("enabled", (e.target as HTMLInputElement).checked)} /> Attivo
+          <input type="checkbox" checked={ch.enabled} onChange={(e) => set("enabled", (e.target as HTMLInputElement).checked)} /> {t("channel.enabled")}
         </label>
       </div>
       <div className="grid grid-cols-2 gap-3 text-sm">
         <div className="col-span-2">
-          <label className="block text-slate-300 mb-1">Forma d'onda</label>
+          <label className="block text-slate-300 mb-1">{t("channel.waveform")}</label>
           <select className="w-full bg-slate-800 border border-slate-700 rounded-xl p-2" value={ch.waveform} onChange={(e) => set("waveform", (e.target as HTMLSelectElement).value)}>
-            <option value="sine">Armonica: Seno</option>
-            <option value="sum2">Armonica: Somma di sinusoidi</option>
-            <option value="square">Non armonica: Quadra</option>
-            <option value="triangle">Non armonica: Triangolare</option>
-            <option value="saw">Non armonica: Dente di sega</option>
-            <option value="rectified">Non armonica: Seno raddrizzato</option>
-            <option value="am">Non armonica: AM</option>
-            <option value="fm">Non armonica: FM</option>
-            <option value="noise">Rumore</option>
+            {WAVEFORMS.map((w) => <option key={w} value={w}>{t(`wave.${w}`)}</option>)}
           </select>
         </div>
-        <NumberField label="Ampiezza (V picco)" value={ch.amplitude} step={0.1} min={0} onChange={(v: number) => set("amplitude", v)} />
-        <NumberField label="Frequenza (Hz)" value={ch.frequency} step={1} min={0} onChange={(v: number) => set("frequency", v)} />
-        <NumberField label="Fase (rad)" value={ch.phase} step={0.1} onChange={(v: number) => set("phase", v)} />
-        <NumberField label="Offset DC (V)" value={ch.dc} step={0.1} onChange={(v: number) => set("dc", v)} />
-        <NumberField label="Rumore (V rms)" value={ch.noise} step={0.01} min={0} onChange={(v: number) => set("noise", v)} />
+        {ch.waveform === "arbitrary" && <div className="col-span-2"><ArbitraryEditor ch={ch} onChange={onChange} /></div>}
+        <NumberField label={t("channel.amplitude")} value={ch.amplitude} step={0.1} min={0} onChange={(v: number) => set("amplitude", v)} />
+        <NumberField label={t("channel.frequency")} value={ch.frequency} step={1} min={0} onChange={(v: number) => set("frequency", v)} />
+        <NumberField label={t("channel.phase")} value={ch.phase} step={0.1} onChange={(v: number) => set("phase", v)} />
+        <NumberField label={t("channel.dc")} value={ch.dc} step={0.1} onChange={(v: number) => set("dc", v)} />
+        <NumberField label={t("channel.noise")} value={ch.noise} step={0.01} min={0} onChange={(v: number) => set("noise", v)} />
+        <div className="col-span-2"><CircuitControls ch={ch} onChange={onChange} /></div>
         <div className="col-span-2">
-          <label className="block text-slate-300 mb-1">Colore traccia</label>
+          <label className="block text-slate-300 mb-1">{t("channel.color")}</label>
           <input type="color" value={ch.color} onChange={(e) => set("color", (e.target as HTMLInputElement).value)} />
         </div>
       </div>
@@ -271,53 +1262,186 @@ function ChannelControls({ ch, onChange }: any) {
   );
 }
 
-function TeacherPage({ shared, setShared }: any) {
+function TestPanel({ shared, setShared }: any) {
+  const t = useT();
+  const test = { ...defaultSharedState.test, ...(shared.test || {}) };
+  const st = testStatus(shared, useNow(!!shared.locked));
+  const setTest = (k: string, v: any) => setShared({ ...shared, test: { ...test, [k]: v } });
+  const start = () => setShared({ ...shared, locked: true, test: { ...test, endsAt: test.minutes > 0 ? Date.now() + test.minutes * 60000 : null } });
+  const stop = () => setShared({ ...shared, locked: false, test: { ...test, endsAt: null } });
+  return (
+    <div className={`p-4 rounded-2xl border mb-6 ${st.active ? "border-amber-600 bg-amber-950/30" : "border-slate-700 bg-slate-900/40"}`}>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-semibold">{t("test.title")}</h2>
+        {st.active && <span className="text-sm text-amber-300">{st.remaining === null ? t("test.unlimited") : st.expired ? t("test.expired") : t("test.remaining", { time: fmtCountdown(st.remaining) })}</span>}
+      </div>
+      <div className="flex flex-wrap gap-4 items-end text-sm">
+        <div className="w-28"><NumberField label={t("test.minutes")} value={test.minutes} step={1} min={0} onChange={(v: number) => setTest("minutes", isFinite(v) && v >= 0 ? v : 0)} /></div>
+        <div className="w-52"><SelectField label={t("test.onTimeout")} value={test.onTimeout} onChange={(v: string) => setTest("onTimeout", v)} options={[["freeze", t("test.onTimeout.freeze")], ["submit", t("test.onTimeout.submit")]]} /></div>
+        <label className="flex items-center gap-2 pb-2"><input type="checkbox" checked={test.lockScale} onChange={(e) => setTest("lockScale", (e.target as HTMLInputElement).checked)} /> {t("test.lockScale")}</label>
+        <label className="flex items-center gap-2 pb-2"><input type="checkbox" checked={test.lockMeasures} onChange={(e) => setTest("lockMeasures", (e.target as HTMLInputElement).checked)} /> {t("test.lockMeasures")}</label>
+        {st.active
+          ? <button onClick={stop} className="px-3 py-2 rounded-xl bg-amber-700 hover:bg-amber-600">{t("test.stop")}</button>
+          : <button onClick={start} className="px-3 py-2 rounded-xl bg-blue-700 hover:bg-blue-600">{t("test.start")}</button>}
+      </div>
+      <p className="mt-2 text-xs text-slate-400">{t("test.help")}</p>
+    </div>
+  );
+}
+
+function ScopeModelPanel({ shared, setShared }: any) {
+  const t = useT();
+  const model = { ...defaultSharedState.scopeModel, ...(shared.scopeModel || {}) };
+  const set = (k: string, v: number, min: number) => setShared({ ...shared, scopeModel: { ...model, [k]: isFinite(v) && v >= min ? v : model[k as keyof typeof model] } });
+  return (
+    <details className="p-4 rounded-2xl border border-slate-700 bg-slate-900/40 mb-6">
+      <summary className="font-semibold cursor-pointer">{t("model.title")}{shared.difficulty === "avanzato" ? t("model.active") : ""}</summary>
+      <div className="flex flex-wrap gap-4 items-end mt-3 text-sm">
+        <div className="w-32"><NumberField label={t("model.bandwidth")} value={model.bandwidth / 1000} step={1} min={0.1} onChange={(v: number) => set("bandwidth", v * 1000, 100)} /></div>
+        <div className="w-40"><NumberField label={t("model.memory")} value={model.memory} step={50} min={16} onChange={(v: number) => set("memory", Math.min(SWEEP_MAX_POINTS, Math.floor(v)), 16)} /></div>
+        <div className="w-40"><NumberField label={t("model.maxRate")} value={model.maxRate / 1000} step={10} min={1} onChange={(v: number) => set("maxRate", v * 1000, 1000)} /></div>
+        <div className="w-28"><NumberField label={t("model.bits")} value={model.bits} step={1} min={4} onChange={(v: number) => set("bits", Math.min(16, Math.floor(v)), 4)} /></div>
+      </div>
+      <p className="mt-2 text-xs text-slate-400">{t("model.help")}</p>
+    </details>
+  );
+}
+
+function RubricPanel({ shared, setShared }: any) {
+  const t = useT();
+  const rubric = rubricOf(shared);
+  const publish = (next: any) => setShared({ ...shared, rubric: next });
+  const setField = (q: string, k: string, v: any) => publish({ ...rubric, fields: { ...rubric.fields, [q]: { ...rubric.fields[q], [k]: v } } });
+  const num = (v: number, fallback: number) => isFinite(v) && v >= 0 ? v : fallback;
+  return (
+    <details className="p-4 rounded-2xl border border-slate-700 bg-slate-900/40 mb-6">
+      <summary className="font-semibold cursor-pointer">{t("rubric.title")}</summary>
+      <div className="overflow-x-auto mt-3">
+        <table className="w-full text-sm">
+          <thead className="text-slate-400 text-left"><tr><th className="p-2">{t("rubric.quantity")}</th><th className="p-2">{t("rubric.tolerance")}</th><th className="p-2">{t("rubric.value")}</th><th className="p-2">{t("rubric.weight")}</th><th className="p-2">{t("rubric.required")}</th></tr></thead>
+          <tbody>
+            {RUBRIC_QUANTITIES.map(([q, unit, kind]) => {
+              const f = rubric.fields[q];
+              const modes = [["abs", t("rubric.mode.abs", { unit })], ["rel", t("rubric.mode.rel")], ...(kind === "ph" ? [] : [["div", t("rubric.mode.div")]])];
+              return (
+                <tr key={q} className="border-t border-slate-800">
+                  <td className="p-2">{t(`quantity.${q}`)}</td>
+                  <td className="p-2 w-44"><SelectField label="" value={f.mode} onChange={(v: string) => setField(q, "mode", v)} options={modes} /></td>
+                  <td className="p-2 w-28"><NumberField label="" value={f.tol} step={f.mode === "rel" ? 0.5 : 0.1} min={0} onChange={(v: number) => setField(q, "tol", num(v, f.tol))} /></td>
+                  <td className="p-2 w-24"><NumberField label="" value={f.weight} step={0.5} min={0} onChange={(v: number) => setField(q, "weight", num(v, f.weight))} /></td>
+                  <td className="p-2"><input type="checkbox" checked={f.required} onChange={(e) => setField(q, "required", (e.target as HTMLInputElement).checked)} /></td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap gap-4 items-end mt-4 text-sm">
+        <label className="flex items-center gap-2 pb-2"><input type="checkbox" checked={rubric.partial.enabled} onChange={(e) => publish({ ...rubric, partial: { ...rubric.partial, enabled: (e.target as HTMLInputElement).checked } })} /> {t("rubric.partial")}</label>
+        {rubric.partial.enabled && <>
+          <div className="w-36"><NumberField label={t("rubric.band")} value={rubric.partial.band} step={0.5} min={1} onChange={(v: number) => publish({ ...rubric, partial: { ...rubric.partial, band: num(v, rubric.partial.band) } })} /></div>
+          <div className="w-32"><NumberField label={t("rubric.credit")} value={rubric.partial.credit} step={0.1} min={0} onChange={(v: number) => publish({ ...rubric, partial: { ...rubric.partial, credit: Math.min(1, num(v, rubric.partial.credit)) } })} /></div>
+        </>}
+        <div className="w-28"><NumberField label={t("rubric.maxScore")} value={rubric.maxScore} step={1} min={0} onChange={(v: number) => publish({ ...rubric, maxScore: num(v, rubric.maxScore) })} /></div>
+        <div className="w-28"><NumberField label={t("rubric.minScore")} value={rubric.minScore} step={1} min={0} onChange={(v: number) => publish({ ...rubric, minScore: num(v, rubric.minScore) })} /></div>
+        <div className="w-40"><NumberField label={t("rubric.penalty")} value={rubric.missingPenalty} step={0.5} min={0} onChange={(v: number) => publish({ ...rubric, missingPenalty: num(v, rubric.missingPenalty) })} /></div>
+        <button onClick={() => publish(null)} className="px-3 py-2 rounded-xl bg-slate-800 border border-slate-700 hover:bg-slate-700">{t("rubric.reset")}</button>
+      </div>
+      <p className="mt-2 text-xs text-slate-400">{t("rubric.help")}</p>
+    </details>
+  );
+}
+
+function TeacherPage({ shared, setShared, bus }: any) {
+  const t = useT();
+  const [submissions, setSubmissions] = useSubmissions(shared, setShared, bus);
+  const [autoResults, setAutoResults] = useState<any>(null);
+  // il docente può sempre vedere lo spettro, anche quando lo blocca agli studenti
+  const [domain, setDomain] = useState<"time" | "fft">("time");
+  const [fft, setFft] = useState<any>({ ...defaultFft });
+  // anteprima con trigger automatico sul primo canale acceso, al suo valor medio: traccia ferma come su un oscilloscopio
+  const src = shared.channels.find((c: any) => c.enabled);
+  const previewTrigger = src ? { ...defaultTrigger, source: src.id, level: channelMean(src) } : null;
   const setChannel = (idx: number, next: any) => {
     const channels = [...shared.channels]; channels[idx] = next; setShared({ ...shared, channels });
   };
-  const randomize = (level: "base" | "intermedio" | "avanzato") => {
-    const baseFreqs = [50, 100, 200, 500, 1000, 2000, 5000];
-    const forms = ["sine", "square", "triangle", "saw", "rectified", "am", "fm", "sum2"];
-    const channels = shared.channels.map((ch: any) => ({
-      ...ch,
-      enabled: Math.random() > 0.2,
-      waveform: forms[Math.floor(Math.random() * forms.length)],
-      amplitude: +(0.5 + Math.random() * 4).toFixed(2),
-      frequency: baseFreqs[Math.floor(Math.random() * baseFreqs.length)],
-      phase: +(Math.random() * Math.PI).toFixed(2),
-      dc: +((-1 + Math.random() * 2)).toFixed(2),
-      noise: level === "avanzato" ? +(Math.random() * 0.2).toFixed(2) : level === "intermedio" ? +(Math.random() * 0.1).toFixed(2) : +(Math.random() * 0.03).toFixed(2),
-    }));
-    setShared({ ...shared, difficulty: level, channels });
+  const exercise = { ...defaultSharedState.exercise, ...(shared.exercise || {}) };
+  // i canali derivano sempre dal seme: lo stesso seme ridà lo stesso esercizio
+  const applySeed = (seed: number, level: "base" | "intermedio" | "avanzato") => {
+    const channels = generateChannels(shared.channels, level, mulberry32(seed));
+    setShared({ ...shared, difficulty: level, channels, exercise: { ...exercise, seed } });
   };
+  const randomize = (level: "base" | "intermedio" | "avanzato") => applySeed(Math.floor(Math.random() * 2 ** 32), level);
 
   return (
     <div className="p-6 text-slate-100">
-      <h1 className="text-2xl font-bold mb-2">Pannello Docente</h1>
-      <p className="text-slate-300 mb-4">Imposta i canali e pubblica la simulazione. Apri #/studenti in un'altra scheda.</p>
+      <h1 className="text-2xl font-bold mb-2">{t("teacher.title")}</h1>
+      <p className="text-slate-300 mb-4">{t("teacher.intro")}</p>
 
       <div className="flex flex-wrap gap-4 mb-4 items-center">
         <label className="flex items-center gap-2">
-          <span>Difficoltà:</span>
+          <span>{t("teacher.difficulty")}</span>
           <select className="bg-slate-800 border border-slate-700 rounded-xl p-2" value={shared.difficulty} onChange={(e) => setShared({ ...shared, difficulty: (e.target as HTMLSelectElement).value })}>
-            <option value="base">Base</option>
-            <option value="intermedio">Intermedio</option>
-            <option value="avanzato">Avanzato</option>
+            {["base", "intermedio", "avanzato"].map((l) => <option key={l} value={l}>{t(`level.${l}`)}</option>)}
           </select>
         </label>
-        <button onClick={() => randomize(shared.difficulty)} className="px-3 py-2 rounded-xl bg-slate-800 border border-slate-700 hover:bg-slate-700">Casuale (mantieni)</button>
-        <button onClick={() => randomize("base")} className="px-3 py-2 rounded-xl bg-emerald-700 hover:bg-emerald-600">Base</button>
-        <button onClick={() => randomize("intermedio")} className="px-3 py-2 rounded-xl bg-amber-700 hover:bg-amber-600">Intermedio</button>
-        <button onClick={() => randomize("avanzato")} className="px-3 py-2 rounded-xl bg-rose-700 hover:bg-rose-600">Avanzato</button>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={shared.cursors !== false} onChange={(e) => setShared({ ...shared, cursors: (e.target as HTMLInputElement).checked })} /> {t("teacher.cursors")}
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={!!shared.autoMeasure} onChange={(e) => setShared({ ...shared, autoMeasure: (e.target as HTMLInputElement).checked })} /> {t("teacher.autoMeasure")}
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={!!shared.timeOnly} onChange={(e) => setShared({ ...shared, timeOnly: (e.target as HTMLInputElement).checked })} /> {t("teacher.timeOnly")}
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={!!shared.xyExercise?.enabled} onChange={(e) => setShared({ ...shared, xyExercise: { ...defaultSharedState.xyExercise, ...(shared.xyExercise || {}), enabled: (e.target as HTMLInputElement).checked } })} /> {t("teacher.xy")}
+        </label>
+        {shared.xyExercise?.enabled && ["x", "y"].map((axis) => (
+          <label key={axis} className="flex items-center gap-2">
+            <span>{axis.toUpperCase()}:</span>
+            <select className="bg-slate-800 border border-slate-700 rounded-xl p-2" value={shared.xyExercise[axis]} onChange={(e) => setShared({ ...shared, xyExercise: { ...shared.xyExercise, [axis]: Number((e.target as HTMLSelectElement).value) } })}>
+              {shared.channels.map((ch: any) => <option key={ch.id} value={ch.id}>CH{ch.id}</option>)}
+            </select>
+          </label>
+        ))}
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={exercise.perStudent} onChange={(e) => setShared({ ...shared, exercise: { ...exercise, perStudent: (e.target as HTMLInputElement).checked } })} /> {t("teacher.perStudent")}
+        </label>
+        <label className="flex items-center gap-2">
+          <span>{t("teacher.seed")}</span>
+          <input type="number" step={1} min={0} value={exercise.seed} onChange={(e) => { const v = Math.floor(Number((e.target as HTMLInputElement).value)); if (isFinite(v) && v >= 0) applySeed(v >>> 0, shared.difficulty); }} className="w-32 bg-slate-800 border border-slate-700 rounded-xl p-2" />
+        </label>
+        <button onClick={() => randomize(shared.difficulty)} className="px-3 py-2 rounded-xl bg-slate-800 border border-slate-700 hover:bg-slate-700">{t("teacher.randomKeep")}</button>
+        <button onClick={() => randomize("base")} className="px-3 py-2 rounded-xl bg-emerald-700 hover:bg-emerald-600">{t("level.base")}</button>
+        <button onClick={() => randomize("intermedio")} className="px-3 py-2 rounded-xl bg-amber-700 hover:bg-amber-600">{t("level.intermedio")}</button>
+        <button onClick={() => randomize("avanzato")} className="px-3 py-2 rounded-xl bg-rose-700 hover:bg-rose-600">{t("level.avanzato")}</button>
       </div>
 
+      <TestPanel shared={shared} setShared={setShared} />
+      <RubricPanel shared={shared} setShared={setShared} />
+      <ScopeModelPanel shared={shared} setShared={setShared} />
+      <LibraryPanel shared={shared} setShared={setShared} />
+      {exercise.perStudent && <p className="text-sm text-amber-300 mb-4">{t("teacher.perStudentNote", { seed: exercise.seed })}</p>}
+
       <div className="grid md:grid-cols-3 gap-4 mb-6">
         {shared.channels.map((ch: any, i: number) => (
           <ChannelControls key={ch.id} ch={ch} onChange={(next: any) => setChannel(i, next)} />
         ))}
       </div>
 
-      <ScopeCanvas canvasId="teacher-scope" shared={shared} view={{ vPerDiv: 1, sPerDiv: shared.timeBase, vOffset: 0, tOffset: 0 }} />
+      <div className="flex flex-wrap gap-4 mb-4 items-end">
+        <div className="flex rounded-xl overflow-hidden border border-slate-700">
+          {[["time", t("domain.time")], ["fft", "FFT"]].map(([k, label]) => (
+            <button key={k} onClick={() => setDomain(k as any)} className={`px-3 py-2 ${domain === k ? "bg-slate-700" : "bg-slate-800 hover:bg-slate-700"}`}>{label}</button>
+          ))}
+        </div>
+        {domain === "fft" && <div className="w-full md:w-[32rem]"><FftControls fft={fft} onChange={setFft} /></div>}
+      </div>
+
+      <ScopeCanvas canvasId="teacher-scope" shared={shared} view={{ sPerDiv: shared.timeBase, tOffset: 0, domain, fft, trigger: previewTrigger }} onMeasurements={setAutoResults} onFftChange={setFft} />
+      <div className="mt-6"><AutoMeasurePanel channels={shared.channels} results={autoResults} /></div>
+      <div className="mt-6"><SubmissionsPanel shared={shared} setShared={setShared} submissions={submissions} setSubmissions={setSubmissions} /></div>
     </div>
   );
 }
@@ -325,8 +1449,15 @@ function TeacherPage({ shared, setShared }: any) {
 // ==================
 // PAGINA: STUDENTI
 // ==================
-function StudentPage({ shared }: any) {
-  const [view, setView] = useStudentView();
+// La vista (e con essa la lingua) arriva da App, che la condivide con la barra di navigazione.
+function StudentPage({ shared, bus, view, setView }: any) {
+  const t = useT();
+  const hasIdentity = !!(view.name && view.surname && view.class);
+  // esercizio personale: i canali dipendono dal seme del docente e dai dati dello studente (senza dati, nessun segnale)
+  const perStudent = !!shared.exercise?.perStudent;
+  const mine = useMemo(() => perStudent && !hasIdentity
+    ? { ...shared, channels: shared.channels.map((ch: any) => ({ ...ch, enabled: false })) }
+    : exerciseShared(shared, view), [shared, perStudent, hasIdentity, view.name, view.surname, view.class]);
 
   // fallback misure sicure sempre presenti
   const defaultMeasures = {
@@ -337,6 +1468,17 @@ function StudentPage({ shared }: any) {
   const measures = (view.measures && typeof view.measures === "object") ? view.measures : { ...defaultMeasures };
 
   const set = (k: string, v: any) => setView((s: any) => ({ ...s, [k]: v }));
+  const setChannelView = (id: number, k: string, v: any) => setView((s: any) => ({ ...s, channels: { ...(s.channels || {}), [id]: { ...channelView(s, id), [k]: v } } }));
+  const trigger = { ...defaultTrigger, ...(view.trigger || {}) };
+  const math = { ...defaultMath, ...(view.math || {}) };
+  const setMath = (k: string, v: any) => setView((s: any) => ({ ...s, math: { ...defaultMath, ...(s.math || {}), [k]: v } }));
+  const setTrigger = (k: string, v: any) => setView((s: any) => ({ ...s, trigger: { ...defaultTrigger, ...(s.trigger || {}), [k]: v } }));
+  const [armSeq, setArmSeq] = useState(0);
+  const [running, setRunning] = useState(true);
+  const [autoResults, setAutoResults] = useState<any>(null);
+  // Run riarma anche il Single; Single passa il trigger in modo single e parte
+  const runStop = () => { if (running) setRunning(false); else { setArmSeq((n) => n + 1); setRunning(true); } };
+  const single = () => { setTrigger("mode", "single"); setArmSeq((n) => n + 1); setRunning(true); };
   const setMeasure = (chId: number, k: string, v: any) => setView((s: any) => {
     const safeMeasures: any = s.measures && typeof s.measures === "object" ? { ...s.measures } : { ...defaultMeasures };
     const safeChannel = safeMeasures[chId] ? { ...safeMeasures[chId] } : { vmax: "", vmin: "", vpp: "", period: "", freq: "" };
@@ -346,41 +1488,80 @@ function StudentPage({ shared }: any) {
 
   const [checkResult, setCheckResult] = useState<any>(null);
 
-  const doCheck = () => {
-    const tolV = 0.05, tolF = 0.02;
-    let erroriCount = 0, datiMancanti = 0;
-    if (!view.name) datiMancanti++; if (!view.surname) datiMancanti++; if (!view.class) datiMancanti++; if (!view.date) datiMancanti++;
-    const res: any = { ok: true, perChannel: {} };
-    for (const ch of shared.channels) {
-      if (!ch.enabled) continue;
-      const user: any = (measures && measures[ch.id]) || {};
-      const corr: any = { vmax: ch.amplitude + ch.dc, vmin: -ch.amplitude + ch.dc, vpp: 2 * ch.amplitude, period: ch.frequency > 0 ? 1 / ch.frequency : Infinity, freq: ch.frequency };
-      for (const [k, tol] of [["vmax", tolV], ["vmin", tolV], ["vpp", tolV], ["period", tolF], ["freq", tolF]] as any) {
-        const u = parseFloat(user[k]); const c = corr[k];
-        if (!isFinite(u) || !isFinite(c)) { res.ok = false; (res.perChannel[ch.id] = res.perChannel[ch.id] || { ok: true, errors: 0 }).errors++; continue; }
-        const rel = Math.abs(u - c) / (Math.abs(c) + 1e-9);
-        if (rel > tol) { res.ok = false; (res.perChannel[ch.id] = res.perChannel[ch.id] || { ok: true, errors: 0 }).errors++; }
-      }
-    }
-    let totalErrors = 0; Object.values(res.perChannel).forEach((r: any) => { totalErrors += r.errors || 0; r.ok = (r.errors || 0) === 0; });
-    let punteggio = 10 - Math.min(5, Math.ceil(totalErrors / 2)); if (datiMancanti) punteggio = Math.max(0, punteggio - 1);
-    setCheckResult({ ...res, punteggio, erroriCount: totalErrors, datiMancanti });
+  const doCheck = () => setCheckResult(gradeMeasures(mine, { ...view, measures, scale: scaleOf(view) }));
+
+  // verifica a tempo: durante la prova niente esiti; allo sblocco del docente l'esito compare da solo
+  const st = testStatus(shared, useNow(!!shared.locked));
+  const wasLocked = useRef(!!shared.locked);
+  useEffect(() => {
+    if (shared.locked) setCheckResult(null);
+    else if (wasLocked.current) doCheck();
+    wasLocked.current = !!shared.locked;
+  }, [shared.locked]);
+
+  // consegna al docente: una per turno, salvo permesso del docente (lista resubmitAllowed).
+  // Conta come consegnata solo quando il docente conferma (SUBMIT_ACK accettato); senza risposta entro
+  // SUBMIT_ACK_TIMEOUT (canale chiuso, nessuna scheda docente aperta) lo studente vede l'errore e può riprovare.
+  const round = shared.submitRound || 1, key = studentKey(view);
+  const alreadySent = view.submitted?.round === round && view.submitted?.key === key;
+  const canResubmit = (shared.resubmitAllowed || []).includes(key);
+  const [sending, setSending] = useState<{ id: string; round: number; key: string; at: string } | null>(null);
+  const [sendError, setSendError] = useState<"" | "offline" | "timeout" | "rejected">("");
+  const sendingRef = useRef(sending); sendingRef.current = sending;
+  useEffect(() => bus?.on("SUBMIT_ACK", (p: any) => {
+    const s = sendingRef.current;
+    if (!s || p?.id !== s.id) return;
+    setSending(null);
+    if (p.accepted) set("submitted", s);
+    else setSendError("rejected");
+  }), [bus]);
+  useEffect(() => {
+    if (!sending) return;
+    const timer = setTimeout(() => { setSending(null); setSendError("timeout"); }, SUBMIT_ACK_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [sending]);
+  const submit = () => {
+    if (!hasIdentity || sending || (alreadySent && !canResubmit)) return;
+    const id = Math.random().toString(36).slice(2, 10);
+    const payload = { id, key, name: view.name, surname: view.surname, class: view.class, date: view.date, measures, scale: scaleOf(view), lang: view.lang, seed: shared.exercise?.seed, sentAt: new Date().toISOString() };
+    setSendError("");
+    if (!bus?.send({ type: "SUBMIT", to: "teacher", payload })) { setSendError("offline"); return; }
+    setSending({ round, key, id, at: payload.sentAt });
   };
+  // allo scadere, se il docente l'ha scelto, consegna da sola (una volta per scadenza)
+  const autoSentFor = useRef<number | null>(null);
+  useEffect(() => {
+    const endsAt = shared.test?.endsAt;
+    if (!st.expired || st.onTimeout !== "submit" || autoSentFor.current === endsAt) return;
+    autoSentFor.current = endsAt;
+    if (!alreadySent || canResubmit) submit();
+  }, [st.expired]);
 
   // UI
   return (
     <div className="p-6 text-slate-100">
-      <h1 className="text-2xl font-bold mb-6">Pagina Studenti</h1>
+      <h1 className="text-2xl font-bold mb-6">{t("student.title")}</h1>
+
+      {st.active && (
+        <div className={`p-4 rounded-2xl border mb-6 flex items-center justify-between ${st.expired ? "border-rose-600 bg-rose-950/30" : "border-amber-600 bg-amber-950/30"}`}>
+          <span className="font-semibold">{st.expired ? t("student.expired") : t("student.testRunning")}</span>
+          {st.remaining !== null && !st.expired && <span className="text-2xl font-mono">{fmtCountdown(st.remaining)}</span>}
+        </div>
+      )}
+
+      {perStudent && !hasIdentity && (
+        <div className="p-4 rounded-2xl border border-amber-600 bg-amber-950/30 mb-6 text-sm">{t("student.needIdentity")}</div>
+      )}
 
       {/* Dati Studente */}
       <div className="p-5 rounded-2xl border border-slate-700 bg-slate-900/40 mb-6">
-        <h2 className="font-semibold mb-4">Dati Studente</h2>
+        <h2 className="font-semibold mb-4">{t("student.details")}</h2>
         <div className="grid grid-cols-2 gap-3 text-sm">
-          <TextField label="Nome" value={view.name} onChange={(v: string) => set("name", v)} />
-          <TextField label="Cognome" value={view.surname} onChange={(v: string) => set("surname", v)} />
-          <TextField label="Classe" value={view.class} onChange={(v: string) => set("class", v)} />
+          <TextField label={t("student.name")} value={view.name} onChange={(v: string) => set("name", v)} />
+          <TextField label={t("student.surname")} value={view.surname} onChange={(v: string) => set("surname", v)} />
+          <TextField label={t("student.class")} value={view.class} onChange={(v: string) => set("class", v)} />
           <label className="flex flex-col gap-1 text-slate-300 text-sm">
-            <span>Data</span>
+            <span>{t("student.date")}</span>
             <input type="date" value={view.date || ""} onChange={(e) => set("date", (e.target as HTMLInputElement).value)} className="bg-slate-800 border border-slate-700 rounded-xl p-2" />
           </label>
         </div>
@@ -388,39 +1569,653 @@ function StudentPage({ shared }: any) {
 
       {/* Layout: Oscilloscopio SX + Controlli Scala DX */}
       <div className="flex flex-col lg:flex-row gap-6 items-start">
-        <div className="flex-1"><ScopeCanvas canvasId="student-scope" shared={shared} view={view} /></div>
+        <div className="flex-1"><ScopeCanvas canvasId="student-scope" shared={mine} view={view} running={running} armSeq={armSeq} onSingleDone={() => setRunning(false)} onCursorsChange={(c: any) => set("cursors", c)} onMeasurements={shared.autoMeasure ? setAutoResults : undefined} allowFft={!shared.timeOnly} onFftChange={(f: any) => set("fft", f)} /></div>
         <aside className="w-full lg:w-80 p-5 rounded-2xl border border-slate-700 bg-slate-900/40">
-          <h2 className="font-semibold mb-4">Controlli Scala</h2>
+          <h2 className="font-semibold mb-4">{t("student.scale")}</h2>
+          {st.scaleLocked && <p className="text-xs text-amber-300 mb-3">{t("student.scaleLocked")}</p>}
+          <fieldset disabled={st.scaleLocked} className={`min-w-0 ${st.scaleLocked ? "opacity-60" : ""}`}>
           <div className="grid grid-cols-2 gap-3 text-sm">
-            <NumberField label="V/div" value={view.vPerDiv} step={0.1} min={0.1} onChange={(v: number) => set("vPerDiv", v)} />
             <NumberField label="s/div" value={view.sPerDiv} step={0.0001} min={0.000001} onChange={(v: number) => set("sPerDiv", v)} />
-            <NumberField label="Offset V (V)" value={view.vOffset} step={0.1} onChange={(v: number) => set("vOffset", v)} />
             <NumberField label="Offset t (s)" value={view.tOffset} step={0.0001} onChange={(v: number) => set("tOffset", v)} />
           </div>
+          {mine.channels.map((ch: any) => {
+            const cv = channelView(view, ch.id);
+            return (
+              <div key={ch.id} className={`mt-4 pt-3 border-t border-slate-800 ${ch.enabled ? "" : "opacity-60"}`}>
+                <div className="flex items-center justify-between mb-2 text-sm">
+                  <span className="font-semibold" style={{ color: ch.color }}>CH{ch.id}</span>
+                  <label className="flex items-center gap-2"><input type="checkbox" checked={cv.invert} onChange={(e) => setChannelView(ch.id, "invert", (e.target as HTMLInputElement).checked)} /> {t("student.invert")}</label>
+                </div>
+                <div className="grid grid-cols-3 gap-2 text-sm">
+                  <NumberField label="V/div" value={cv.vPerDiv} step={0.1} min={0.001} onChange={(v: number) => setChannelView(ch.id, "vPerDiv", v > 0 ? v : cv.vPerDiv)} />
+                  <NumberField label={t("student.position")} value={cv.position} step={0.1} onChange={(v: number) => setChannelView(ch.id, "position", isFinite(v) ? v : 0)} />
+                  <SelectField label={t("student.coupling")} value={cv.coupling} onChange={(v: string) => setChannelView(ch.id, "coupling", v)} options={[["dc", "DC"], ["ac", "AC"], ["gnd", "GND"]]} />
+                </div>
+              </div>
+            );
+          })}
+          </fieldset>
+          <h3 className="font-semibold mt-6 mb-3">{t("student.spectrum")}</h3>
+          {shared.timeOnly ? (
+            <p className="text-xs text-slate-400">{t("student.timeOnly")}</p>
+          ) : (
+            <div className="space-y-3 text-sm">
+              <SelectField label={t("student.domain")} value={view.domain || "time"} onChange={(v: string) => set("domain", v)} options={[["time", t("domain.time")], ["fft", t("domain.fft")]]} />
+              {view.domain === "fft" && <FftControls fft={view.fft} onChange={(f: any) => set("fft", f)} />}
+            </div>
+          )}
+          <h3 className="font-semibold mt-6 mb-3">{t("student.displayMath")}</h3>
+          <div className="grid grid-cols-3 gap-2 text-sm">
+            <SelectField label={t("student.mode")} value={view.display || "yt"} onChange={(v: string) => set("display", v)} options={[["yt", "YT"], ["xy", "XY"]]} />
+            {view.display === "xy" && <>
+              <SelectField label="X" value={view.xy?.x ?? defaultXY.x} onChange={(v: string) => set("xy", { ...defaultXY, ...(view.xy || {}), x: Number(v) })} options={[[1, "CH1"], [2, "CH2"], [3, "CH3"]]} />
+              <SelectField label="Y" value={view.xy?.y ?? defaultXY.y} onChange={(v: string) => set("xy", { ...defaultXY, ...(view.xy || {}), y: Number(v) })} options={[[1, "CH1"], [2, "CH2"], [3, "CH3"]]} />
+            </>}
+          </div>
+          <label className="flex items-center gap-2 mt-3 text-sm"><input type="checkbox" checked={!!math.enabled} onChange={(e) => setMath("enabled", (e.target as HTMLInputElement).checked)} /> {t("student.mathTrace")}</label>
+          {math.enabled && (
+            <div className="grid grid-cols-3 gap-2 mt-2 text-sm">
+              <SelectField label="A" value={math.a} onChange={(v: string) => setMath("a", Number(v))} options={[[1, "CH1"], [2, "CH2"], [3, "CH3"]]} />
+              <SelectField label={t("student.op")} value={math.op} onChange={(v: string) => setMath("op", v)} options={MATH_OPS} />
+              <SelectField label="B" value={math.b} onChange={(v: string) => setMath("b", Number(v))} options={[[1, "CH1"], [2, "CH2"], [3, "CH3"]]} />
+              <NumberField label={t("student.unitsPerDiv")} value={math.vPerDiv} step={0.1} min={0.001} onChange={(v: number) => setMath("vPerDiv", v > 0 ? v : math.vPerDiv)} />
+              <NumberField label={t("student.position")} value={math.position} step={0.1} onChange={(v: number) => setMath("position", isFinite(v) ? v : 0)} />
+            </div>
+          )}
+          <h3 className="font-semibold mt-6 mb-3">Trigger</h3>
+          <div className="grid grid-cols-2 gap-3 text-sm">
+            <SelectField label={t("trigger.source")} value={trigger.source} onChange={(v: string) => setTrigger("source", Number(v))} options={[[1, "CH1"], [2, "CH2"], [3, "CH3"]]} />
+            <NumberField label={t("trigger.level")} value={trigger.level} step={0.1} onChange={(v: number) => setTrigger("level", isFinite(v) ? v : 0)} />
+            <SelectField label={t("trigger.slope")} value={trigger.slope} onChange={(v: string) => setTrigger("slope", v)} options={[["rising", t("trigger.rising")], ["falling", t("trigger.falling")]]} />
+            <SelectField label={t("student.mode")} value={trigger.mode} onChange={(v: string) => setTrigger("mode", v)} options={[["auto", "Auto"], ["normal", "Normal"], ["single", "Single"]]} />
+          </div>
+          <h3 className="font-semibold mt-6 mb-3">{t("student.acquisition")}</h3>
+          <div className="grid grid-cols-2 gap-3 text-sm">
+            <button onClick={runStop} className={`px-3 py-2 rounded-xl ${running ? "bg-emerald-700 hover:bg-emerald-600" : "bg-rose-700 hover:bg-rose-600"}`}>{running ? "■ Stop" : "▶ Run"}</button>
+            <button onClick={single} className="px-3 py-2 rounded-xl bg-slate-800 border border-slate-700 hover:bg-slate-700">Single</button>
+            <div className="col-span-2">
+              <SelectField label={t("student.persistence")} value={view.persistence || "off"} onChange={(v: string) => set("persistence", v)} options={["off", "short", "long", "inf"].map((k) => [k, t(`persistence.${k}`)])} />
+            </div>
+            <div className="col-span-2">
+              <SelectField label={t("student.interp")} value={view.interp || "linear"} onChange={(v: string) => set("interp", v)} options={["linear", "dots", "sinc"].map((k) => [k, t(`interp.${k}`)])} />
+            </div>
+          </div>
+          <h3 className="font-semibold mt-6 mb-3">{t("student.cursors")}</h3>
+          {shared.cursors === false ? (
+            <p className="text-xs text-slate-400">{t("student.cursorsOff")}</p>
+          ) : (
+            <div className="text-sm">
+              <div className="grid grid-cols-2 gap-3">
+                <SelectField label={t("student.mode")} value={view.cursors?.mode || "off"} onChange={(v: string) => set("cursors", { ...defaultCursors, ...(view.cursors || {}), mode: v })} options={["off", "h", "v", "both"].map((k) => [k, t(`cursors.${k}`)])} />
+                <SelectField label={t("student.cursorScale")} value={view.cursors?.source || 1} onChange={(v: string) => set("cursors", { ...defaultCursors, ...(view.cursors || {}), source: Number(v) })} options={[[1, "CH1"], [2, "CH2"], [3, "CH3"]]} />
+              </div>
+              <p className="mt-2 text-xs text-slate-400">{t("student.cursorHelp")}</p>
+            </div>
+          )}
         </aside>
       </div>
 
+      {shared.autoMeasure && !shared.locked && <div className="mt-6"><AutoMeasurePanel channels={mine.channels} results={autoResults} /></div>}
+
       {/* Dati CH1-CH3 */}
+      <fieldset disabled={st.measuresLocked} className="min-w-0">
+      {st.measuresLocked && !st.expired && <p className="mt-6 text-xs text-amber-300">{t("student.measuresLocked")}</p>}
       <div className="mt-6 grid md:grid-cols-3 gap-4">
         {[1,2,3].map((id) => (
-          <MeasureCard key={id} chId={id} enabled={shared.channels.find((c: any) => c.id === id)?.enabled} values={measures[id]} onChange={(k: string, v: string) => setMeasure(id, k, v)} />
+          <MeasureCard key={id} chId={id} enabled={mine.channels.find((c: any) => c.id === id)?.enabled} values={measures[id]} onChange={(k: string, v: string) => setMeasure(id, k, v)} />
         ))}
       </div>
 
+      {shared.xyExercise?.enabled && (
+        <div className="mt-4 p-4 rounded-2xl border border-slate-700 bg-slate-900/40">
+          <h3 className="font-semibold mb-2">{t("student.xyTitle", { x: shared.xyExercise.x, y: shared.xyExercise.y })}</h3>
+          <p className="text-xs text-slate-400 mb-3">{t("student.xyHelp")}</p>
+          <div className="max-w-xs text-sm">
+            <TextField label={t("student.phase")} value={(measures as any).xy?.phase} onChange={(v: string) => setMeasure("xy" as any, "phase", v)} />
+          </div>
+        </div>
+      )}
+      </fieldset>
+
       {/* Verifica */}
       <div className="mt-8">
-        <button onClick={doCheck} className="w-full px-4 py-2 rounded-xl bg-blue-700 hover:bg-blue-600">Verifica con tolleranza</button>
+        <button onClick={doCheck} disabled={st.active} className="w-full px-4 py-2 rounded-xl bg-blue-700 hover:bg-blue-600 disabled:opacity-50 disabled:hover:bg-blue-700">{t("student.check")}</button>
+        {st.active && <p className="mt-1 text-xs text-slate-400">{t("student.checkLater")}</p>}
+      </div>
+
+      <div className="mt-3">
+        <button onClick={submit} disabled={!hasIdentity || !!sending || (alreadySent && !canResubmit)} className="w-full px-4 py-2 rounded-xl bg-emerald-700 hover:bg-emerald-600 disabled:opacity-50 disabled:hover:bg-emerald-700">{sending ? t("student.sending") : t("student.submit")}</button>
+        {sendError && <p role="alert" className="mt-1 text-xs text-rose-300">{t(`student.sendError.${sendError}`)}</p>}
+        <p className="mt-1 text-xs text-slate-400">
+          {!hasIdentity ? t("student.submitNeedIdentity")
+            : alreadySent && !canResubmit ? `${t("student.submittedAt", { time: new Date(view.submitted.at).toLocaleTimeString(t.lang) })} • ${t("student.ackOk")}. ${t("student.resubmitNeedsPermission")}`
+            : alreadySent ? t("student.resubmitAllowed") : t("student.submitOnce")}
+        </p>
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-3">
+        {(["png", "pdf"] as const).map((kind) => (
+          <button key={kind} onClick={() => exportReport(kind, { shared: mine, view, measures, checkResult: st.active ? null : checkResult, scope: scopeSnapshot("student-scope", REPORT_SCOPE_RES) })} className="px-4 py-2 rounded-xl bg-slate-800 border border-slate-700 hover:bg-slate-700">{t("student.report", { kind: kind.toUpperCase() })}</button>
+        ))}
       </div>
 
-      {checkResult && (
+      {checkResult && !st.active && (
         <div className="text-sm mt-4">
-          <div className={checkResult.ok ? "text-emerald-400" : "text-rose-400"}>{checkResult.ok ? "Tutte le misure nei limiti." : "Alcune misure non rientrano nella tolleranza."}</div>
-          <div className="mt-2"><strong>Punteggio automatico: {checkResult.punteggio} / 10</strong></div>
-          <ul className="mt-2 space-y-1">
+          <div className={checkResult.ok ? "text-emerald-400" : "text-rose-400"}>{checkResult.ok ? t("result.allOk") : t("result.someWrong")}</div>
+          <div className="mt-2"><strong>{t("result.score", { score: checkResult.punteggio, max: checkResult.maxScore ?? 10 })}</strong></div>
+          <div className="mt-2 grid md:grid-cols-2 gap-3">
             {Object.entries(checkResult.perChannel || {}).map(([chId, r]: any) => (
-              <li key={chId}><span className="font-semibold">CH{chId}</span> – {r.ok ? "OK" : `Errori: ${r.errors}`}</li>
+              <div key={chId} className="p-3 rounded-xl border border-slate-800">
+                <div className="font-semibold mb-1">{chId === "xy" ? t("quantity.phase") : `CH${chId}`} – {r.ok ? t("grade.ok") : t("result.errors", { n: r.errors })}</div>
+                <GradeFieldsTable fields={r.fields} />
+              </div>
             ))}
-          </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// =====================
+// CONSEGNE (LATO DOCENTE)
+// =====================
+/**
+ * Riceve le consegne degli studenti dal canale di sync e le valuta con lo stato condiviso corrente.
+ * Una seconda consegna nello stesso turno è accettata solo se il docente l'ha consentita.
+ */
+function useSubmissions(shared: any, setShared: any, bus: any) {
+  const [subs, setSubs] = useState<any[]>(() => {
+    try { const raw = localStorage.getItem(SUBMISSIONS_KEY); if (raw) return JSON.parse(raw); } catch {}
+    return [];
+  });
+  useEffect(() => { try { localStorage.setItem(SUBMISSIONS_KEY, JSON.stringify(subs)); } catch {} }, [subs]);
+
+  const sharedRef = useRef(shared); sharedRef.current = shared;
+  const subsRef = useRef(subs); subsRef.current = subs;
+  useEffect(() => bus?.on("SUBMIT", (p: any) => {
+    if (!p?.id || !p.key) return;
+    const sh = sharedRef.current, round = sh.submitRound || 1;
+    const allowed = (sh.resubmitAllowed || []).includes(p.key);
+    const dup = subsRef.current.some((x: any) => x.key === p.key && x.round === round);
+    if (dup && !allowed) { bus.send({ type: "SUBMIT_ACK", payload: { id: p.id, accepted: false } }); return; }
+    const entry = { ...p, round, receivedAt: new Date().toISOString(), grade: gradeMeasures(exerciseShared(sh, p), p) };
+    const next = [...subsRef.current.filter((x: any) => !(x.key === p.key && x.round === round)), entry];
+    subsRef.current = next; setSubs(next);
+    if (allowed) setShared((s: any) => ({ ...s, resubmitAllowed: (s.resubmitAllowed || []).filter((k: string) => k !== p.key) }));
+    bus.send({ type: "SUBMIT_ACK", payload: { id: p.id, accepted: true } });
+  }), [bus]);
+  return [subs, setSubs] as const;
+}
+
+const csvCell = (v: any) => { const t = String(v ?? ""); return /[;"\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t; };
+
+/** CSV (separatore ";", come lo apre Excel in italiano) con anagrafica, esito e misure di ogni consegna; intestazioni nella lingua di `t`. */
+function submissionsCsv(subs: any[], t: any) {
+  const qs = ["vmax", "vmin", "vpp", "period", "freq"];
+  const head = [t("student.surname"), t("student.name"), t("student.class"), t("student.date"), t("subs.roundCol"), t("subs.sent"), t("subs.score"), t("subs.csv.errors"),
+    ...["CH1", "CH2", "CH3", "XY"].map((ch) => t("subs.csv.result", { ch })),
+    ...[1, 2, 3].flatMap((id) => qs.map((q) => `CH${id} ${q}`)), t("quantity.phase")];
+  const esito = (r: any) => !r ? "" : r.ok ? "OK" : t("subs.csv.nErrors", { n: r.errors });
+  const rows = subs.map((x: any) => [x.surname, x.name, x.class, x.date, x.round, new Date(x.sentAt).toLocaleString(t.lang), x.grade?.punteggio, x.grade?.erroriCount,
+    esito(x.grade?.perChannel?.[1]), esito(x.grade?.perChannel?.[2]), esito(x.grade?.perChannel?.[3]), esito(x.grade?.perChannel?.xy),
+    ...[1, 2, 3].flatMap((id) => qs.map((q) => x.measures?.[id]?.[q])), x.measures?.xy?.phase]);
+  return [head, ...rows].map((r) => r.map(csvCell).join(";")).join("\r\n");
+}
+
+function downloadText(name: string, text: string, type: string) {
+  downloadBlob(name, new Blob([text], { type }));
+}
+
+function downloadBlob(name: string, blob: Blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a"); a.href = url; a.download = name; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function SubmissionsPanel({ shared, setShared, submissions, setSubmissions }: any) {
+  const t = useT();
+  const round = shared.submitRound || 1;
+  const allowed: string[] = shared.resubmitAllowed || [];
+  const rows = [...submissions].sort((a: any, b: any) => b.round - a.round || String(a.surname).localeCompare(String(b.surname)));
+  const allow = (key: string) => setShared({ ...shared, resubmitAllowed: allowed.includes(key) ? allowed.filter((k) => k !== key) : [...allowed, key] });
+  const cell = (r: any) => !r ? <span className="text-slate-500">—</span> : r.ok ? <span className="text-emerald-400">{t("grade.ok")}</span> : <span className="text-rose-400">{t("subs.errors", { n: r.errors })}</span>;
+  return (
+    <div className="p-5 rounded-2xl border border-slate-700 bg-slate-900/40">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <h2 className="font-semibold">{t("subs.title")}</h2>
+        <span className="text-sm text-slate-400">{t("subs.round", { round, n: submissions.filter((x: any) => x.round === round).length })}</span>
+        <div className="ml-auto flex gap-2 text-sm">
+          <button onClick={() => setShared({ ...shared, submitRound: round + 1, resubmitAllowed: [] })} className="px-3 py-2 rounded-xl bg-slate-800 border border-slate-700 hover:bg-slate-700">{t("subs.newRound")}</button>
+          <button onClick={() => downloadText(`consegne-${new Date().toISOString().slice(0, 10)}.csv`, "\ufeff" + submissionsCsv(rows, t), "text/csv;charset=utf-8")} disabled={!rows.length} className="px-3 py-2 rounded-xl bg-blue-700 hover:bg-blue-600 disabled:opacity-50">{t("subs.exportCsv")}</button>
+          <button onClick={() => { if (window.confirm(t("subs.confirmClear"))) setSubmissions([]); }} disabled={!rows.length} className="px-3 py-2 rounded-xl bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50">{t("subs.clear")}</button>
+        </div>
+      </div>
+      {!rows.length ? <p className="text-sm text-slate-400">{t("subs.none")}</p> : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-slate-400 text-left">
+              <tr><th className="p-2">{t("subs.student")}</th><th className="p-2">{t("student.class")}</th><th className="p-2">{t("subs.roundCol")}</th><th className="p-2">{t("subs.sent")}</th><th className="p-2">CH1</th><th className="p-2">CH2</th><th className="p-2">CH3</th><th className="p-2">XY</th><th className="p-2">{t("subs.score")}</th><th className="p-2"></th></tr>
+            </thead>
+            <tbody>
+              {rows.map((x: any) => (
+                <tr key={x.id} className="border-t border-slate-800">
+                  <td className="p-2">{x.surname} {x.name}{x.grade?.datiMancanti ? <span className="text-amber-400" title={t("subs.incomplete")}> *</span> : null}</td>
+                  <td className="p-2">{x.class}</td>
+                  <td className="p-2">{x.round}</td>
+                  <td className="p-2">{new Date(x.sentAt).toLocaleTimeString(t.lang)}</td>
+                  <td className="p-2">{cell(x.grade?.perChannel?.[1])}</td>
+                  <td className="p-2">{cell(x.grade?.perChannel?.[2])}</td>
+                  <td className="p-2">{cell(x.grade?.perChannel?.[3])}</td>
+                  <td className="p-2">{cell(x.grade?.perChannel?.xy)}</td>
+                  <td className="p-2 font-semibold">{x.grade?.punteggio} / {x.grade?.maxScore ?? 10}</td>
+                  <td className="p-2 text-right">
+                    {x.round === round && (
+                      <button onClick={() => allow(x.key)} className={`px-2 py-1 rounded-lg text-xs ${allowed.includes(x.key) ? "bg-amber-700 hover:bg-amber-600" : "bg-slate-800 border border-slate-700 hover:bg-slate-700"}`}>
+                        {allowed.includes(x.key) ? t("subs.allowed") : t("subs.allow")}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// =================
+// LIBRERIA ESERCIZI
+// =================
+// Uno scenario è una lezione riutilizzabile: canali, difficoltà, base tempi, criteri di valutazione e
+// impostazioni di visibilità. File JSON: { format, version, scenarios: [{ id, name, description, settings }] }.
+// Versioni: 1 = stato condiviso salvato così com'era (oscSimState:v1), 2 = formato attuale.
+const SCENARIO_FORMAT = "osc-sim-scenarios", SCENARIO_VERSION = 2;
+const SCENARIO_SETTINGS = ["difficulty", "timeBase", "channels", "rubric", "cursors", "autoMeasure", "timeOnly", "xyExercise", "exercise", "test", "scopeModel"];
+const WAVEFORMS = ["sine", "sum2", "square", "triangle", "saw", "rectified", "am", "fm", "arbitrary", "noise"];
+
+function scenarioFromShared(shared: any, name: string, description = "") {
+  const settings: any = {};
+  for (const k of SCENARIO_SETTINGS) if (shared[k] !== undefined) settings[k] = shared[k];
+  if (settings.test) settings.test = { ...settings.test, endsAt: null };
+  return { id: Math.random().toString(36).slice(2, 10), name, description, settings };
+}
+
+const starterChannels = (overrides: any[]) => defaultSharedState.channels.map((ch, i) => ({ ...ch, enabled: false, noise: 0, ...(overrides[i] || {}) }));
+
+// nomi e descrizioni sono nei cataloghi (scenario.<id>.name / .description): si leggono nella lingua di chi li carica
+const STARTER_SCENARIOS = [
+  {
+    id: "starter-rete-50hz",
+    settings: { difficulty: "base", timeBase: 0.005, channels: starterChannels([{ enabled: true, waveform: "rectified", amplitude: 16.97, frequency: 50 }, { enabled: true, waveform: "sine", amplitude: 16.97, frequency: 50 }]) },
+  },
+  {
+    id: "starter-am",
+    settings: { difficulty: "base", timeBase: 0.002, channels: starterChannels([{ enabled: true, waveform: "am", amplitude: 2, frequency: 1000 }]) },
+  },
+  {
+    id: "starter-lissajous",
+    settings: { difficulty: "base", timeBase: 0.0005, xyExercise: { enabled: true, x: 1, y: 2 }, channels: starterChannels([{ enabled: true, waveform: "sine", amplitude: 2, frequency: 500 }, { enabled: true, waveform: "sine", amplitude: 1.5, frequency: 500, phase: 0.79 }]) },
+  },
+  {
+    id: "starter-rc",
+    settings: { difficulty: "base", timeBase: 0.0002, xyExercise: { enabled: true, x: 1, y: 2 }, channels: starterChannels([{ enabled: true, waveform: "sine", amplitude: 2, frequency: 1000 }, { enabled: true, waveform: "sine", amplitude: 2, frequency: 1000, circuit: { ...defaultCircuit, type: "rc-lp", R: 1000, C: 159e-9 } }]) },
+  },
+  {
+    id: "starter-forme",
+    settings: { difficulty: "intermedio", timeBase: 0.001, channels: starterChannels([{ enabled: true, waveform: "square", amplitude: 1, frequency: 500, dc: 0.5 }, { enabled: true, waveform: "triangle", amplitude: 1.5, frequency: 200 }, { enabled: true, waveform: "saw", amplitude: 2, frequency: 1000, noise: 0.02 }]) },
+  },
+];
+
+// Errori di importazione: chiave del catalogo (lib.err.*) con le variabili, più lo scenario (`name`, "" se senza nome)
+// e il canale (`ch`) a cui si riferiscono; il testo lo compone scenarioErrorText nella lingua di chi importa.
+type ScenarioError = { key: string; vars?: Record<string, any>; name?: string; ch?: any };
+
+const starterScenarios = (t: (key: string) => string) =>
+  STARTER_SCENARIOS.map((sc) => ({ ...sc, name: t(`scenario.${sc.id}.name`), description: t(`scenario.${sc.id}.description`) }));
+
+/**
+ * Controlla uno scenario (versione corrente) e ne restituisce una copia pulita con le sole chiavi note.
+ * Restituisce { scenario, errors }: con errori lo scenario è null.
+ */
+function validateScenario(raw: any) {
+  const errors: ScenarioError[] = [];
+  const name = typeof raw?.name === "string" && raw.name.trim() ? raw.name.trim() : "";
+  const err = (key: string, vars?: Record<string, any>, ch?: any) => errors.push({ key: `lib.err.${key}`, vars, name, ch });
+  if (!raw || typeof raw !== "object") return { scenario: null, errors: [{ key: "lib.err.invalid" }] };
+  const s = raw.settings;
+  if (!name) errors.push({ key: "lib.err.noName" });
+  if (!s || typeof s !== "object") { err("noSettings"); return { scenario: null, errors }; }
+  const isNum = (v: any, min = -Infinity) => typeof v === "number" && isFinite(v) && v >= min;
+  const isBool = (v: any) => v === undefined || typeof v === "boolean";
+
+  if (s.difficulty !== undefined && !["base", "intermedio", "avanzato"].includes(s.difficulty)) err("difficulty", { value: s.difficulty });
+  if (s.timeBase !== undefined && !(isNum(s.timeBase) && s.timeBase > 0)) err("timeBase");
+  if (!Array.isArray(s.channels) || !s.channels.length || s.channels.length > 3) err("channelCount");
+  else {
+    const ids = new Set<number>();
+    for (const ch of s.channels) {
+      const chErr = (key: string, vars?: Record<string, any>) => err(key, vars, ch?.id ?? "?");
+      if (![1, 2, 3].includes(ch?.id) || ids.has(ch.id)) { chErr("channelId"); continue; }
+      ids.add(ch.id);
+      if (!WAVEFORMS.includes(ch.waveform)) chErr("waveform", { value: ch.waveform });
+      for (const [k, min] of [["amplitude", 0], ["frequency", 0], ["phase", -Infinity], ["dc", -Infinity], ["noise", 0]] as [string, number][]) {
+        if (ch[k] !== undefined && !isNum(ch[k], min)) chErr("value", { field: k });
+      }
+      if (!isBool(ch.enabled)) chErr("bool", { field: "enabled" });
+      if (ch.color !== undefined && !/^#[0-9a-f]{6}$/i.test(ch.color)) chErr("color");
+      if (ch.circuit !== undefined) {
+        const c = ch.circuit;
+        if (!CIRCUITS.includes(c?.type) || !["R", "C", "L", "vd"].every((k) => c[k] === undefined || isNum(c[k], 0)) || (c.out !== undefined && !["r", "l", "c"].includes(c.out))) chErr("circuit");
+      }
+      if (ch.arb !== undefined) {
+        const a = ch.arb, finite = (list: any, max: number, ok: (x: any) => boolean) => Array.isArray(list) && list.length <= max && list.every(ok);
+        if (!["harmonics", "samples"].includes(a?.source)
+          || (a.harmonics !== undefined && !finite(a.harmonics, ARB_MAX_HARMONICS, (h) => isNum(h?.amp, 0) && isNum(h?.phase)))
+          || (a.samples !== undefined && !finite(a.samples, ARB_MAX_SAMPLES, (x) => isNum(x)))) chErr("arb");
+      }
+    }
+  }
+  for (const k of ["cursors", "autoMeasure", "timeOnly"]) if (!isBool(s[k])) err("bool", { field: k });
+  if (s.xyExercise !== undefined && !([1, 2, 3].includes(s.xyExercise?.x) && [1, 2, 3].includes(s.xyExercise?.y) && isBool(s.xyExercise?.enabled))) err("xy");
+  if (s.scopeModel !== undefined && !["bandwidth", "memory", "maxRate", "bits"].every((k) => s.scopeModel?.[k] === undefined || isNum(s.scopeModel[k], 1))) err("scopeModel");
+  if (s.exercise !== undefined && !(isBool(s.exercise?.perStudent) && isNum(s.exercise?.seed, 0))) err("exercise");
+  if (s.test !== undefined && s.test !== null) {
+    const tst = s.test;
+    if (typeof tst !== "object") err("test");
+    else {
+      if (tst.minutes !== undefined && !isNum(tst.minutes, 0)) err("testMinutes");
+      if (tst.onTimeout !== undefined && !["freeze", "submit"].includes(tst.onTimeout)) err("onTimeout", { value: tst.onTimeout });
+      for (const k of ["lockScale", "lockMeasures"]) if (!isBool(tst[k])) err("bool", { field: `test.${k}` });
+    }
+  }
+  if (s.rubric !== undefined && s.rubric !== null && typeof s.rubric !== "object") err("rubric");
+  else if (s.rubric) {
+    const p = s.rubric.partial;
+    if (p !== undefined && (typeof p !== "object" || !p || !isBool(p.enabled) || (p.band !== undefined && !isNum(p.band, 1)) || (p.credit !== undefined && !(isNum(p.credit, 0) && p.credit <= 1)))) err("partial");
+    for (const [q, f] of Object.entries(s.rubric.fields || {}) as [string, any][]) {
+      if (!RUBRIC_QUANTITIES.some(([k]) => k === q)) err("quantity", { value: q });
+      else if (!f || typeof f !== "object" || (f.mode !== undefined && !["abs", "rel", "div"].includes(f.mode)) || (f.tol !== undefined && !isNum(f.tol, 0)) || (f.weight !== undefined && !isNum(f.weight, 0)) || !isBool(f.required)) err("rule", { value: q });
+    }
+    for (const k of ["maxScore", "minScore", "missingPenalty"]) if (s.rubric[k] !== undefined && !isNum(s.rubric[k], 0)) err("value", { field: k });
+    const lo = s.rubric.minScore ?? defaultRubric.minScore, hi = s.rubric.maxScore ?? defaultRubric.maxScore;
+    if (isNum(lo, 0) && isNum(hi, 0) && lo > hi) err("scoreRange", { min: lo, max: hi });
+  }
+  if (errors.length) return { scenario: null, errors };
+
+  const settings: any = {};
+  for (const k of SCENARIO_SETTINGS) if (s[k] !== undefined && s[k] !== null) settings[k] = s[k];
+  // della verifica si tengono solo le impostazioni: una scadenza salvata non vale per la lezione che carica lo scenario
+  if (settings.test) settings.test = Object.fromEntries(["minutes", "onTimeout", "lockScale", "lockMeasures"].filter((k) => s.test[k] !== undefined).map((k) => [k, s.test[k]]));
+  settings.channels = s.channels.map((ch: any) => {
+    const base = defaultSharedState.channels.find((d) => d.id === ch.id)!;
+    const out: any = { ...base };
+    for (const k of Object.keys(base)) if (ch[k] !== undefined) out[k] = ch[k];
+    if (ch.circuit) out.circuit = { ...defaultCircuit, ...ch.circuit };
+    if (ch.arb) out.arb = { source: ch.arb.source, harmonics: ch.arb.harmonics || defaultArb.harmonics, samples: ch.arb.samples || [] };
+    return out;
+  });
+  return { scenario: { id: typeof raw.id === "string" && raw.id ? raw.id : Math.random().toString(36).slice(2, 10), name, description: String(raw.description || ""), settings }, errors };
+}
+
+/**
+ * Legge un file della libreria (o uno stato v1 esportato a mano) e restituisce { scenarios, errors }.
+ * `v1Name` è il nome dato a uno stato v1 che non ne ha uno.
+ */
+function parseScenarioFile(text: string, v1Name = translate(DEFAULT_LANG, "lib.v1Name")) {
+  let data: any;
+  const fail = (key: string, vars?: Record<string, any>) => ({ scenarios: [], errors: [{ key: `lib.err.${key}`, vars }] as ScenarioError[] });
+  try { data = JSON.parse(text); } catch { return fail("json"); }
+  let raws: any[];
+  if (data?.format === SCENARIO_FORMAT) {
+    if (data.version !== SCENARIO_VERSION) return fail("version", { version: data.version, expected: SCENARIO_VERSION });
+    if (!Array.isArray(data.scenarios)) return fail("noList");
+    raws = data.scenarios;
+  } else if (Array.isArray(data?.channels)) {
+    // v1: lo stato condiviso salvato così com'è (chiave oscSimState:v1)
+    raws = [scenarioFromShared(data, data.name || v1Name)];
+  } else return fail("format");
+  const scenarios: any[] = [], errors: ScenarioError[] = [];
+  for (const r of raws) { const v = validateScenario(r); if (v.scenario) scenarios.push(v.scenario); errors.push(...v.errors); }
+  return { scenarios, errors };
+}
+
+/** Testo di un errore di importazione nella lingua di `t`, con lo scenario e il canale davanti ("Nome", CH2: …). */
+function scenarioErrorText(t: (key: string, vars?: Record<string, any>) => string, e: ScenarioError) {
+  if (e.name === undefined) return t(e.key, e.vars);
+  const where = (e.name ? `"${e.name}"` : t("lib.err.unnamed")) + (e.ch !== undefined ? `, CH${e.ch}` : "");
+  return `${where}: ${t(e.key, e.vars)}`;
+}
+
+const scenarioFile = (scenarios: any[]) => JSON.stringify({ format: SCENARIO_FORMAT, version: SCENARIO_VERSION, scenarios: scenarios.map(({ id, name, description, settings }) => ({ id, name, description, settings })) }, null, 2);
+
+/** Applica uno scenario allo stato condiviso: le impostazioni assenti tornano ai valori predefiniti, la verifica in corso resta. */
+function applyScenario(shared: any, scenario: any) {
+  const s = scenario.settings, next: any = { ...shared };
+  for (const k of SCENARIO_SETTINGS) next[k] = s[k] ?? (defaultSharedState as any)[k];
+  next.channels = defaultSharedState.channels.map((d) => ({ ...d, enabled: false, ...(s.channels.find((ch: any) => ch.id === d.id) || {}) }));
+  next.test = { ...defaultSharedState.test, ...(s.test || {}), endsAt: shared.locked ? shared.test?.endsAt ?? null : null };
+  return next;
+}
+
+function useLibrary() {
+  const [items, setItems] = useState<any[]>(() => {
+    try { const raw = localStorage.getItem(LIBRARY_KEY); if (raw) return parseScenarioFile(raw).scenarios; } catch {}
+    return [];
+  });
+  useEffect(() => { try { localStorage.setItem(LIBRARY_KEY, scenarioFile(items)); } catch {} }, [items]);
+  return [items, setItems] as const;
+}
+
+function LibraryPanel({ shared, setShared }: any) {
+  const t = useT();
+  const [items, setItems] = useLibrary();
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [report, setReport] = useState<{ text: string; errors: ScenarioError[] } | null>(null);
+  const fileRef = useRef<HTMLInputElement>(null);
+
+  const save = () => {
+    const n = name.trim(); if (!n) return;
+    const sc = scenarioFromShared(shared, n, description.trim());
+    setItems((list: any[]) => [...list.filter((x) => x.name !== n), sc]);
+    setName(""); setDescription(""); setReport({ text: t("lib.saved", { name: n }), errors: [] });
+  };
+  const load = (sc: any) => { setShared(applyScenario(shared, sc)); setReport({ text: t("lib.loaded", { name: sc.name }), errors: [] }); };
+  const fileName = (n: string) => `scenari-${n.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "osc"}.json`;
+  const importFile = async (file: File) => {
+    const { scenarios, errors } = parseScenarioFile(await file.text(), t("lib.v1Name"));
+    // stesso nome = sostituisce; un predefinito reimportato diventa uno scenario dell'utente (id nuovo)
+    setItems((list: any[]) => [...list.filter((x) => !scenarios.some((s) => s.name === x.name)), ...scenarios.map((s) => ({ ...s, id: s.id.startsWith("starter-") ? Math.random().toString(36).slice(2, 10) : s.id }))]);
+    setReport({ text: t("lib.imported", { n: scenarios.length, file: file.name }), errors });
+  };
+
+  const row = (sc: any, starter: boolean) => (
+    <li key={sc.id} className="flex flex-wrap items-center gap-2 py-2 border-t border-slate-800">
+      <div className="flex-1 min-w-[12rem]">
+        <div className="font-semibold">{sc.name}{starter && <span className="ml-2 text-xs text-slate-400">{t("lib.starter")}</span>}</div>
+        {sc.description && <div className="text-xs text-slate-400">{sc.description}</div>}
+      </div>
+      <button onClick={() => load(sc)} className="px-2 py-1 rounded-lg text-xs bg-blue-700 hover:bg-blue-600">{t("lib.load")}</button>
+      <button onClick={() => downloadText(fileName(sc.name), scenarioFile([sc]), "application/json")} className="px-2 py-1 rounded-lg text-xs bg-slate-800 border border-slate-700 hover:bg-slate-700">{t("lib.export")}</button>
+      {!starter && <button onClick={() => { if (window.confirm(t("lib.confirmDelete", { name: sc.name }))) setItems((list: any[]) => list.filter((x) => x.id !== sc.id)); }} className="px-2 py-1 rounded-lg text-xs bg-slate-800 border border-slate-700 hover:bg-slate-700">{t("lib.delete")}</button>}
+    </li>
+  );
+
+  return (
+    <details className="p-4 rounded-2xl border border-slate-700 bg-slate-900/40 mb-6">
+      <summary className="font-semibold cursor-pointer">{t("lib.title")}</summary>
+      <div className="flex flex-wrap gap-3 items-end mt-3 text-sm">
+        <div className="w-56"><TextField label={t("lib.name")} value={name} onChange={setName} placeholder={t("lib.namePlaceholder")} /></div>
+        <div className="flex-1 min-w-[14rem]"><TextField label={t("lib.description")} value={description} onChange={setDescription} /></div>
+        <button onClick={save} disabled={!name.trim()} className="px-3 py-2 rounded-xl bg-emerald-700 hover:bg-emerald-600 disabled:opacity-50">{t("lib.save")}</button>
+        <button onClick={() => fileRef.current?.click()} className="px-3 py-2 rounded-xl bg-slate-800 border border-slate-700 hover:bg-slate-700">{t("lib.import")}</button>
+        <button onClick={() => downloadText("scenari-oscilloscopio.json", scenarioFile(items), "application/json")} disabled={!items.length} className="px-3 py-2 rounded-xl bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50">{t("lib.exportAll")}</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={(e) => { const f = (e.target as HTMLInputElement).files?.[0]; if (f) importFile(f); (e.target as HTMLInputElement).value = ""; }} />
+      </div>
+      {report && (
+        <div className="mt-3 text-sm">
+          <div className={report.errors.length ? "text-amber-300" : "text-emerald-400"}>{report.text}</div>
+          {!!report.errors.length && <ul className="mt-1 list-disc pl-5 text-rose-400 text-xs">{report.errors.map((e, i) => <li key={i}>{scenarioErrorText(t, e)}</li>)}</ul>}
+        </div>
+      )}
+      <ul className="mt-3 text-sm">
+        {items.map((sc: any) => row(sc, false))}
+        {starterScenarios(t).map((sc) => row(sc, true))}
+      </ul>
+    </details>
+  );
+}
+
+// ========================
+// RELAZIONE DI LABORATORIO
+// ========================
+// Foglio A4 disegnato su un canvas, tutto nel browser: il PNG è il foglio così com'è,
+// il PDF è una pagina A4 con il foglio come immagine JPEG.
+const REPORT_W = 1654, REPORT_H = 2339; // A4 a 200 dpi
+const REPORT_SCOPE_RES = 2; // scala dello schermo nella relazione: largo 1960 px, più dei 1434 disponibili sul foglio
+
+/** Disegna la relazione nella lingua dello studente: dati studente, impostazioni, schermo (`scope`), tabella delle misure ed esito della verifica. */
+function drawReport(ctx: CanvasRenderingContext2D, { shared, view, measures, checkResult, scope }: any) {
+  const M = 110, W = REPORT_W - 2 * M;
+  const t = (key: string, vars?: Record<string, any>) => translate(view.lang, key, vars);
+  let y = M;
+  const text = (s: string, x: number, size = 30, color = "#0f172a", weight = "") => {
+    ctx.font = `${weight} ${size}px system-ui, sans-serif`; ctx.fillStyle = color; ctx.fillText(s, x, y);
+  };
+  const line = (gap = 46) => { y += gap; };
+  ctx.fillStyle = "#ffffff"; ctx.fillRect(0, 0, REPORT_W, REPORT_H);
+  ctx.textBaseline = "alphabetic";
+
+  text(t("report.title"), M, 50, "#0f172a", "bold"); line(70);
+  text(t("report.student", { name: `${view.surname || "—"} ${view.name || ""}` }), M); text(t("report.class", { class: view.class || "—" }), M + W * 0.55); text(t("report.date", { date: view.date || "—" }), M + W * 0.78); line(60);
+
+  // impostazioni
+  text(t("report.settings"), M, 34, "#0f172a", "bold"); line();
+  text(`${t("report.timeBase", { sPerDiv: fmtSI(view.sPerDiv, "s"), offset: fmtSI(view.tOffset || 0, "s") })}${view.display === "xy" ? ` • ${t("report.xyMode")}` : ""}`, M); line();
+  for (const ch of shared.channels.filter((c: any) => c.enabled)) {
+    const cv = channelView(view, ch.id);
+    text(`CH${ch.id}`, M, 30, ch.color, "bold");
+    text(`${t("report.channel", { vPerDiv: fmtSI(cv.vPerDiv, "V"), coupling: cv.coupling.toUpperCase(), position: cv.position })}${cv.invert ? ` • ${t("report.inverted")}` : ""}`, M + 90); line();
+  }
+  const math = { ...defaultMath, ...(view.math || {}) };
+  if (math.enabled) { text(t("report.math", { expr: (MATH_OPS.find(([k]) => k === math.op)?.[1] || "").replace("A", `CH${math.a}`).replace("B", `CH${math.b}`), vPerDiv: math.vPerDiv }), M); line(); }
+  const trig = { ...defaultTrigger, ...(view.trigger || {}) };
+  text(t("report.trigger", { source: trig.source, level: trig.level, slope: t(trig.slope === "falling" ? "report.falling" : "report.rising"), mode: trig.mode }), M); line(40);
+
+  // schermo dell'oscilloscopio
+  if (scope) {
+    const h = W * scope.height / scope.width;
+    ctx.drawImage(scope, M, y, W, h);
+    ctx.strokeStyle = "#334155"; ctx.lineWidth = 2; ctx.strokeRect(M, y, W, h);
+    y += h + 70;
+  }
+
+  // misure
+  text(t("report.measures"), M, 34, "#0f172a", "bold"); line(50);
+  const quantities = RUBRIC_QUANTITIES.filter(([, , kind]) => kind !== "ph");
+  const cols = [["", 0], ...quantities.map(([q, unit], i) => [`${t(`quantity.${q}`)} (${unit})`, 0.12 + 0.17 * i])] as [string, number][];
+  const keys = quantities.map(([q]) => q);
+  cols.forEach(([h, f]) => text(h, M + W * f, 28, "#475569", "bold"));
+  ctx.strokeStyle = "#cbd5e1"; ctx.lineWidth = 2; ctx.beginPath(); ctx.moveTo(M, y + 14); ctx.lineTo(M + W, y + 14); ctx.stroke(); line(50);
+  for (const ch of shared.channels.filter((c: any) => c.enabled)) {
+    text(`CH${ch.id}`, M, 30, ch.color, "bold");
+    keys.forEach((k, i) => text(String(measures[ch.id]?.[k] || "—"), M + W * cols[i + 1][1]));
+    line();
+  }
+  if (shared.xyExercise?.enabled) { text(t("report.xyPhase", { x: shared.xyExercise.x, y: shared.xyExercise.y, value: measures.xy?.phase ? `${measures.xy.phase}°` : "—" }), M); line(); }
+  line(30);
+
+  // esito
+  text(t("report.result"), M, 34, "#0f172a", "bold"); line();
+  if (!checkResult) text(t("report.notChecked"), M, 30, "#475569");
+  else {
+    text(`${t("result.score", { score: checkResult.punteggio, max: checkResult.maxScore ?? 10 })} – ${t(checkResult.ok ? "report.allOk" : "report.someWrong")}`, M, 30, checkResult.ok ? "#047857" : "#b91c1c"); line();
+    for (const [id, r] of Object.entries(checkResult.perChannel || {}) as [string, any][]) {
+      const bad = RUBRIC_QUANTITIES.filter(([q]) => r.fields?.[q] && r.fields[q].status !== "ok").map(([q]) => `${t(`quantity.${q}`)} ${t(`grade.${r.fields[q].status}`)}`);
+      text(`${id === "xy" ? t("quantity.phase") : `CH${id}`}: ${r.ok ? t("grade.ok") : bad.join(", ")}`, M); line(42);
+    }
+  }
+
+  y = REPORT_H - M / 2;
+  text(t("report.footer", { date: new Date().toLocaleString(view.lang) }), M, 22, "#94a3b8");
+}
+
+/** PDF di una pagina A4 con un'immagine JPEG a tutta pagina. */
+function jpegPagePdf(jpeg: Uint8Array, w: number, h: number) {
+  const enc = new TextEncoder(), chunks: Uint8Array[] = [], offsets: number[] = [];
+  let len = 0;
+  const put = (x: string | Uint8Array) => { const b = typeof x === "string" ? enc.encode(x) : x; chunks.push(b); len += b.length; };
+  const obj = (body: string | (() => void)) => {
+    offsets.push(len); put(`${offsets.length} 0 obj\n`);
+    if (typeof body === "string") put(body); else body();
+    put("\nendobj\n");
+  };
+  const pw = 595.28, ph = 841.89, content = `q ${pw} 0 0 ${ph} 0 0 cm /Im0 Do Q`;
+  put("%PDF-1.4\n");
+  obj("<< /Type /Catalog /Pages 2 0 R >>");
+  obj("<< /Type /Pages /Kids [3 0 R] /Count 1 >>");
+  obj(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pw} ${ph}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`);
+  obj(() => { put(`<< /Type /XObject /Subtype /Image /Width ${w} /Height ${h} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`); put(jpeg); put("\nendstream"); });
+  obj(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+  const xref = len;
+  put(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n${offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`);
+  put(`trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return new Blob(chunks, { type: "application/pdf" });
+}
+
+async function exportReport(kind: "png" | "pdf", data: any) {
+  const c = document.createElement("canvas"); c.width = REPORT_W; c.height = REPORT_H;
+  drawReport(c.getContext("2d")!, data);
+  const blob = await new Promise<Blob | null>((resolve) => c.toBlob(resolve, kind === "png" ? "image/png" : "image/jpeg", 0.92));
+  if (!blob) return;
+  const v = data.view, name = `relazione-${[v.surname, v.name, v.date].filter(Boolean).join("-").toLowerCase().replace(/[^a-z0-9-]+/g, "") || "oscilloscopio"}`;
+  if (kind === "png") downloadBlob(`${name}.png`, blob);
+  else downloadBlob(`${name}.pdf`, jpegPagePdf(new Uint8Array(await blob.arrayBuffer()), REPORT_W, REPORT_H));
+}
+
+// =================
+// CONNESSIONE (SYNC)
+// =================
+// colore dell'indicatore per stato; le etichette sono nei cataloghi (sync.status.<stato>)
+const SYNC_STATUS_DOT: Record<string, string> = { local: "bg-slate-400", connecting: "bg-amber-400", online: "bg-emerald-400", reconnecting: "bg-rose-400", denied: "bg-rose-600" };
+
+function SyncPanel({ sync, setSync, status, role }: any) {
+  const t = useT();
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(sync);
+  const known = status in SYNC_STATUS_DOT ? status : "local";
+  const label = t(`sync.status.${known}`), dot = SYNC_STATUS_DOT[known];
+  const newRoom = () => setDraft({ ...draft, room: Math.random().toString(36).slice(2, 8).toUpperCase(), key: newTeacherKey() });
+  // il docente entra sempre con un codice docente: se la stanza è scritta a mano se ne genera uno
+  const apply = () => { setSync(role === "teacher" && draft.mode === "ws" && !draft.key ? { ...draft, key: newTeacherKey() } : draft); setOpen(false); };
+  const shareLink = `${window.location.origin}${window.location.pathname}#/studenti?room=${encodeURIComponent(sync.room)}&relay=${encodeURIComponent(sync.url)}`;
+  return (
+    <div className="relative">
+      <button onClick={() => { setDraft(sync); setOpen(!open); }} className="px-3 py-1.5 rounded-xl text-slate-300 hover:bg-slate-900 text-sm flex items-center gap-2">
+        <span className={`inline-block w-2 h-2 rounded-full ${dot}`} /> {label}{sync.mode === "ws" && sync.room ? ` • ${sync.room}` : ""}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 p-4 rounded-2xl border border-slate-700 bg-slate-900 text-slate-100 space-y-3 shadow-xl">
+          <SelectField label={t("sync.mode")} value={draft.mode} onChange={(v: string) => setDraft({ ...draft, mode: v })} options={[["local", t("sync.mode.local")], ["ws", t("sync.mode.ws")]]} />
+          {draft.mode === "ws" && <>
+            <TextField label={t("sync.url")} value={draft.url} placeholder={defaultRelayUrl()} onChange={(v: string) => setDraft({ ...draft, url: v.trim() })} />
+            <div className="flex items-end gap-2">
+              <div className="flex-1"><TextField label={t("sync.room")} value={draft.room} onChange={(v: string) => setDraft({ ...draft, room: v.trim().toUpperCase() })} /></div>
+              {role === "teacher" && <button onClick={newRoom} className="px-3 py-2 rounded-xl bg-slate-800 border border-slate-700 hover:bg-slate-700 text-sm">{t("sync.newRoom")}</button>}
+            </div>
+            {role === "teacher" && <>
+              <TextField label={t("sync.teacherKey")} value={draft.key || ""} onChange={(v: string) => setDraft({ ...draft, key: v.trim().toUpperCase() })} />
+              <p className="text-xs text-slate-400">{t("sync.teacherKeyHelp")}</p>
+            </>}
+          </>}
+          {status === "denied" && <p className="text-xs text-rose-300">{t("sync.deniedHelp")}</p>}
+          <button onClick={apply} className="w-full px-3 py-2 rounded-xl bg-blue-700 hover:bg-blue-600 text-sm">{t("sync.apply")}</button>
+          {role === "teacher" && sync.mode === "ws" && sync.room && (
+            <div className="text-xs text-slate-400 break-all">{t("sync.shareLink")} <span className="text-slate-200 select-all">{shareLink}</span></div>
+          )}
         </div>
       )}
     </div>
@@ -440,30 +2235,31 @@ function useHashRoute() {
 // APP ROOT
 // =============
 export default function App() {
-  const [shared, setSharedRaw] = useBroadcastState(defaultSharedState);
   const route = useHashRoute();
+  const role = route.includes("studenti") ? "student" : "teacher";
+  const [sync, setSync] = useSyncConfig();
+  const [shared, setSharedRaw, syncStatus, bus] = useBroadcastState(defaultSharedState, sync, role);
   const setShared = (next: any) => { if (typeof next === "function") setSharedRaw((s: any) => next(s)); else setSharedRaw(next); };
+  // la lingua fa parte della vista dello studente: ognuno la sceglie sul proprio browser
+  const [view, setView] = useStudentView();
+  const lang = view.lang;
+  const t = (key: string, vars?: Record<string, any>) => translate(lang, key, vars);
+  useEffect(() => { document.documentElement.lang = lang; }, [lang]);
   return (
+    <LangContext.Provider value={lang}>
     <div className="min-h-screen bg-slate-950">
       <nav className="sticky top-0 z-10 border-b border-slate-800 bg-slate-950/90 backdrop-blur px-6 py-3 flex items-center gap-3">
-        <a href="#/docente" className={`px-3 py-1.5 rounded-xl ${route.includes("docente")?"bg-slate-800 text-white":"text-slate-300 hover:bg-slate-900"}`}>Docente</a>
-        <a href="#/studenti" className={`px-3 py-1.5 rounded-xl ${route.includes("studenti")?"bg-slate-800 text-white":"text-slate-300 hover:bg-slate-900"}`}>Studenti</a>
-        <div className="ml-auto text-slate-400 text-sm">Oscilloscopio Didattico • 3 Canali • Sincronizzato</div>
+        <a href="#/docente" className={`px-3 py-1.5 rounded-xl ${route.includes("docente")?"bg-slate-800 text-white":"text-slate-300 hover:bg-slate-900"}`}>{t("nav.teacher")}</a>
+        <a href="#/studenti" className={`px-3 py-1.5 rounded-xl ${route.includes("studenti")?"bg-slate-800 text-white":"text-slate-300 hover:bg-slate-900"}`}>{t("nav.students")}</a>
+        <div className="ml-auto text-slate-400 text-sm">{t("nav.title")}</div>
+        <select aria-label={t("nav.language")} value={lang} onChange={(e) => setView((s: any) => ({ ...s, lang: (e.target as HTMLSelectElement).value }))} className="bg-slate-900 border border-slate-700 rounded-xl px-2 py-1 text-sm text-slate-300">
+          {LANGUAGES.map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+        </select>
+        <SyncPanel sync={sync} setSync={setSync} status={syncStatus} role={role} />
       </nav>
-      {route.includes("studenti") ? <StudentPage shared={shared} /> : <TeacherPage shared={shared} setShared={setShared} />}
-      <footer className="px-6 py-8 text-center text-xs text-slate-500">Suggerimento: apri questa app in due schede (#/docente e #/studenti) per una lezione live.</footer>
+      {route.includes("studenti") ? <StudentPage shared={shared} bus={bus} view={view} setView={setView} /> : <TeacherPage shared={shared} setShared={setShared} bus={bus} />}
+      <footer className="px-6 py-8 text-center text-xs text-slate-500">{t("footer.hint")}</footer>
     </div>
+    </LangContext.Provider>
   );
 }
-
-// =============
-// DEV MINI TESTS
-// =============
-(function devTests(){
-  try {
-    const ch = { id:1, amplitude:2, dc:1, frequency:100, phase:0, waveform:"sine", color:"#fff", enabled:true } as any;
-    const y0 = waveformSample("sine", 0, { ...ch, difficulty: "base" });
-    console.assert(typeof y0 === "number", "waveformSample returns number");
-    console.log("[OscSim] Dev tests OK");
-  } catch (e) { console.warn("[OscSim] Dev tests FAILED", e); }
-})();
@@ -0,0 +1,226 @@
+// @vitest-environment jsdom
+import { act, cleanup, fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./osci.jsx";
+
+// jsdom non disegna: un contesto 2D che accetta qualsiasi chiamata basta a montare l'oscilloscopio
+const noopContext = new Proxy({}, { get: (_, k) => k === "measureText" ? () => ({ width: 0 }) : () => {} });
+
+beforeEach(() => {
+  localStorage.clear();
+  window.location.hash = "";
+  vi.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue(noopContext as any);
+  vi.stubGlobal("requestAnimationFrame", () => 0);
+  vi.stubGlobal("cancelAnimationFrame", () => {});
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+function go(hash: string) {
+  act(() => { window.location.hash = hash; window.dispatchEvent(new HashChangeEvent("hashchange")); });
+}
+
+const field = (label: string, i = 0) => screen.getAllByLabelText(label)[i];
+
+describe("router", () => {
+  it("senza hash apre la pagina del docente", () => {
+    render(<App />);
+    expect(screen.getByRole("heading", { name: "Pannello Docente" })).toBeTruthy();
+  });
+
+  it("segue i cambi di hash", () => {
+    window.location.hash = "#/studenti";
+    render(<App />);
+    expect(screen.getByRole("heading", { name: "Pagina Studenti" })).toBeTruthy();
+    go("#/docente");
+    expect(screen.getByRole("heading", { name: "Pannello Docente" })).toBeTruthy();
+    expect(screen.queryByRole("heading", { name: "Pagina Studenti" })).toBeNull();
+  });
+});
+
+describe("pagina Studenti", () => {
+  it("misure esatte del canale predefinito: punteggio pieno", () => {
+    window.location.hash = "#/studenti";
+    render(<App />);
+    fireEvent.change(field("Nome"), { target: { value: "Anna" } });
+    fireEvent.change(field("Cognome"), { target: { value: "Rossi" } });
+    fireEvent.change(field("Classe"), { target: { value: "4A" } });
+    fireEvent.change(field("Data"), { target: { value: "2025-03-01" } });
+    // CH1 predefinito: sinusoide 2 V, 1 kHz, senza componente continua
+    for (const [label, value] of [["Vmax (V)", "2"], ["Vmin (V)", "-2"], ["Vpp (V)", "4"], ["Periodo (s)", "0.001"], ["Frequenza (Hz)", "1000"]]) {
+      fireEvent.change(field(label), { target: { value } });
+    }
+    fireEvent.click(screen.getByRole("button", { name: "Verifica con tolleranza" }));
+    expect(screen.getByText("Tutte le misure nei limiti.")).toBeTruthy();
+    expect(screen.getByText("Punteggio automatico: 10 / 10")).toBeTruthy();
+  });
+
+  it("misure mancanti e dati anonimi: voto minimo meno la penalità", () => {
+    window.location.hash = "#/studenti";
+    render(<App />);
+    fireEvent.click(screen.getByRole("button", { name: "Verifica con tolleranza" }));
+    expect(screen.getByText("Punteggio automatico: 4 / 10")).toBeTruthy();
+    expect((screen.getByRole("button", { name: "Consegna al docente" }) as HTMLButtonElement).disabled).toBe(true);
+  });
+
+  it("la vista v1 (vPerDiv e vOffset comuni) diventa la scala di ogni canale", () => {
+    // v1: 0,5 V/div con 1 V al centro schermo, cioè la traccia spostata di 2 divisioni in basso
+    localStorage.setItem("oscSimView:v1", JSON.stringify({ sPerDiv: 0.002, vPerDiv: 0.5, vOffset: 1, name: "Anna" }));
+    window.location.hash = "#/studenti";
+    render(<App />);
+    for (const ch of [0, 1, 2]) {
+      expect((field("V/div", ch) as HTMLInputElement).value).toBe("0.5");
+      expect((field("Pos. (div)", ch) as HTMLInputElement).value).toBe("-2");
+    }
+    expect((field("s/div") as HTMLInputElement).value).toBe("0.002");
+    expect((field("Nome") as HTMLInputElement).value).toBe("Anna");
+    const saved = JSON.parse(localStorage.getItem("oscSimView:v2")!);
+    expect(saved.channels[2]).toMatchObject({ vPerDiv: 0.5, position: -2, coupling: "dc" });
+    expect(saved.vPerDiv).toBeUndefined();
+    expect(saved.vOffset).toBeUndefined();
+  });
+});
+
+describe("consegna", () => {
+  function identify() {
+    window.location.hash = "#/studenti";
+    render(<App />);
+    fireEvent.change(field("Nome"), { target: { value: "Anna" } });
+    fireEvent.change(field("Cognome"), { target: { value: "Rossi" } });
+    fireEvent.change(field("Classe"), { target: { value: "4A" } });
+  }
+  const submitButton = () => screen.getByRole("button", { name: /Consegna al docente|Invio in corso/ }) as HTMLButtonElement;
+
+  it("senza conferma del docente non risulta consegnata e si può riprovare", () => {
+    identify();
+    vi.useFakeTimers();
+    try {
+      fireEvent.click(submitButton());
+      expect(submitButton().textContent).toBe("Invio in corso…");
+      act(() => { vi.advanceTimersByTime(5000); });
+    } finally {
+      vi.useRealTimers();
+    }
+    expect(screen.getByRole("alert").textContent).toMatch("non ha confermato");
+    expect(submitButton().disabled).toBe(false);
+    expect(JSON.parse(localStorage.getItem("oscSimView:v2")!).submitted).toBeFalsy();
+  });
+
+  it("consegnata quando il docente accetta", async () => {
+    const teacher = new BroadcastChannel("osc-sim");
+    teacher.onmessage = (ev) => {
+      if (ev.data?.type === "SUBMIT") teacher.postMessage({ type: "SUBMIT_ACK", payload: { id: ev.data.payload.id, accepted: true } });
+    };
+    try {
+      identify();
+      fireEvent.click(submitButton());
+      await waitFor(() => expect(screen.getByText(/ricevuto dal docente/)).toBeTruthy());
+      expect(submitButton().disabled).toBe(true);
+      expect(JSON.parse(localStorage.getItem("oscSimView:v2")!).submitted.key).toBe("rossi|anna|4a");
+    } finally {
+      teacher.close();
+    }
+  });
+});
+
+describe("lingua", () => {
+  it("la scelta dello studente traduce la pagina e resta salvata", () => {
+    window.location.hash = "#/studenti";
+    render(<App />);
+    fireEvent.change(screen.getByLabelText("Lingua"), { target: { value: "en" } });
+    expect(screen.getByRole("heading", { name: "Student Page" })).toBeTruthy();
+    expect(screen.getByRole("link", { name: "Teacher" })).toBeTruthy();
+    expect(JSON.parse(localStorage.getItem("oscSimView:v2")!).lang).toBe("en");
+    go("#/docente");
+    expect(screen.getByRole("heading", { name: "Teacher Panel" })).toBeTruthy();
+  });
+
+  it("misure con la virgola decimale", () => {
+    window.location.hash = "#/studenti";
+    render(<App />);
+    for (const [label, value] of [["Vmax (V)", "2,0"], ["Vmin (V)", "-2"], ["Vpp (V)", "4"], ["Periodo (s)", "0,001"], ["Frequenza (Hz)", "1000"]]) {
+      fireEvent.change(field(label), { target: { value } });
+    }
+    fireEvent.click(screen.getByRole("button", { name: "Verifica con tolleranza" }));
+    expect(screen.getByText("Tutte le misure nei limiti.")).toBeTruthy();
+  });
+
+  it("libreria in inglese: scenari predefiniti ed errori di importazione tradotti", async () => {
+    render(<App />);
+    fireEvent.change(screen.getByLabelText("Lingua"), { target: { value: "en" } });
+    expect(screen.getByText("AM modulation depth")).toBeTruthy();
+    const input = document.querySelector('input[type="file"][accept*="json"]') as HTMLInputElement;
+    const scenarios = [{ name: "Bad", settings: { difficulty: "hard", channels: [{ id: 2, waveform: "zigzag" }] } }, {}];
+    const file = new File([JSON.stringify({ format: "osc-sim-scenarios", version: 2, scenarios })], "bad.json");
+    Object.defineProperty(input, "files", { value: [file], configurable: true });
+    fireEvent.change(input);
+    await screen.findByText("0 scenarios imported from bad.json.");
+    expect(screen.getByText('"Bad": unknown difficulty "hard"')).toBeTruthy();
+    expect(screen.getByText('"Bad", CH2: unknown waveform "zigzag"')).toBeTruthy();
+    expect(screen.getByText("the scenario has no name")).toBeTruthy();
+    expect(screen.getByText("unnamed scenario: settings are missing")).toBeTruthy();
+  });
+
+  it("i campi numerici accettano la virgola", () => {
+    window.location.hash = "#/studenti";
+    render(<App />);
+    fireEvent.change(field("s/div"), { target: { value: "0,002" } });
+    expect(JSON.parse(localStorage.getItem("oscSimView:v2")!).sPerDiv).toBe(0.002);
+    fireEvent.change(field("s/div"), { target: { value: "" } }); // testo non valido: il valore resta
+    expect(JSON.parse(localStorage.getItem("oscSimView:v2")!).sPerDiv).toBe(0.002);
+  });
+});
+
+describe("pagina Docente", () => {
+  it("la verifica avviata dal docente blocca la pagina degli studenti", () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole("button", { name: "Avvia verifica" }));
+    expect(screen.getByRole("button", { name: "Termina e mostra esiti" })).toBeTruthy();
+    expect(JSON.parse(localStorage.getItem("oscSimState:v1")!).locked).toBe(true);
+
+    go("#/studenti");
+    expect(screen.getByText("Verifica in corso")).toBeTruthy();
+    expect((screen.getByRole("button", { name: "Verifica con tolleranza" }) as HTMLButtonElement).disabled).toBe(true);
+  });
+
+  it("la libreria rifiuta scenari con verifica o credito parziale non validi", async () => {
+    render(<App />);
+    const input = document.querySelector('input[type="file"][accept*="json"]') as HTMLInputElement;
+    const settings = { channels: [{ id: 1, waveform: "sine" }] };
+    const scenarios = [
+      { name: "Durata", settings: { ...settings, test: { minutes: "20", onTimeout: "explode" } } },
+      { name: "Parziale", settings: { ...settings, rubric: { partial: { enabled: true, band: 0.5, credit: 2 } } } },
+      { name: "Obbligatoria", settings: { ...settings, rubric: { fields: { vmax: { required: "false" }, freq: { required: 1 } } } } },
+      { name: "Voti", settings: { ...settings, rubric: { minScore: 8, maxScore: 6 } } },
+      { name: "Minimo", settings: { ...settings, rubric: { minScore: 12 } } },
+      { name: "Buono", settings: { ...settings, test: { minutes: 15, lockScale: false, endsAt: 123 } } },
+    ];
+    const file = new File([JSON.stringify({ format: "osc-sim-scenarios", version: 2, scenarios })], "scenari.json");
+    Object.defineProperty(input, "files", { value: [file], configurable: true });
+    fireEvent.change(input);
+    await screen.findByText(/1 scenari importati/);
+    expect(screen.getByText(/durata della verifica non valida/)).toBeTruthy();
+    expect(screen.getByText(/azione allo scadere "explode"/)).toBeTruthy();
+    expect(screen.getByText(/credito parziale non valido/)).toBeTruthy();
+    expect(screen.getByText('"Obbligatoria": criterio "vmax" non valido')).toBeTruthy();
+    expect(screen.getByText('"Obbligatoria": criterio "freq" non valido')).toBeTruthy();
+    expect(screen.getByText('"Voti": voto minimo 8 maggiore del massimo 6')).toBeTruthy();
+    expect(screen.getByText('"Minimo": voto minimo 12 maggiore del massimo 10')).toBeTruthy(); // contro il massimo predefinito
+    const saved = JSON.parse(localStorage.getItem("oscSimLibrary:v1")!).scenarios;
+    expect(saved.map((x: any) => x.name)).toEqual(["Buono"]);
+    expect(saved[0].settings.test).toEqual({ minutes: 15, lockScale: false }); // la scadenza salvata non si importa
+  });
+
+  it("lo stato salvato viene ripreso all'avvio", () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole("button", { name: "Avvia verifica" }));
+    cleanup();
+    window.location.hash = "#/studenti";
+    render(<App />);
+    expect(screen.getByText("Verifica in corso")).toBeTruthy();
+  });
+});
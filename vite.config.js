@@ -7,4 +7,9 @@ export default defineConfig({
   // 👇 Inserisci qui il nome del repository GitHub tra gli slash
   // Esempio: se il repo si chiama "oscilloscopio" → base: '/oscilloscopio/'
   base: '/oscilloscopio/',
+  // i file .jsx contengono annotazioni di tipo: vanno letti come TSX
+  esbuild: { loader: 'tsx', include: /src\/.*\.[jt]sx?$/ },
+  test: {
+    include: ['src/**/*.test.{ts,jsx}', 'server/**/*.test.js'],
+  },
 })